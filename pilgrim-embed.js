@@ -0,0 +1,158 @@
+/*! Pilgrim's Path — declarative embedding, shared by pilgrim-map.js and pilgrim-temp-chart.js.
+ *  Each widget script loads this file from its own folder (pilgrim-kit.mjs imports it first) and
+ *  registers its element with pilgrim.embed.define(). Content editors then need no script:
+ *    <pilgrim-map data-gpx-url="/routes/frances.gpx" data-units="metric"></pilgrim-map>
+ *    <div data-pilgrim-climate data-location-label="Burgos" data-dry-months="6,7">
+ *      <script type="application/json">{ "data": { "highF": [50, 52, …] } }</script>
+ *    </div>
+ *  Options come from an inline JSON <script> and from data-* attributes (kebab-case to camelCase;
+ *  attributes win). Widgets start as they near the viewport (data-loading="eager" starts at once),
+ *  content inserted later is picked up and widgets removed from the page are destroyed. The element
+ *  fires "<tag>:ready" (detail: what the widget's create() resolved to) or "<tag>:error" (detail: Error).
+ */
+(function (global) {
+  const pilgrim = global.pilgrim = global.pilgrim || {};
+  if (pilgrim.embed) return;
+
+  const LAZY_MARGIN = '200px';   // start a little before the widget is on screen
+  const widgets = [];            // everything passed to define()
+  const mounted = new Map();     // element → { widget, ready: Promise }
+  const lazyPending = new Map(); // element → widget, waiting to near the viewport
+  let lazyObserver = null;
+  let pageObserver = null;
+
+  // Attribute values: JSON when it parses (numbers, booleans, arrays, objects), "1,2,3" as a
+  // number list, a bare attribute as true, anything else as the string itself
+  function parseAttrValue(v) {
+    const t = v.trim();
+    if (t === '') return true;
+    if (/^(true|false|null|-?\d|\[|\{|")/.test(t)) {
+      try { return JSON.parse(t); } catch (_) { /* not JSON; fall through */ }
+    }
+    if (/^-?[\d.]+(\s*,\s*-?[\d.]+)+$/.test(t)) return t.split(',').map(Number);
+    return v;
+  }
+
+  // Options the widget declares as lists are always arrays: "7" → [7], "temps,precip" → ['temps', 'precip']
+  function asList(v) {
+    if (Array.isArray(v)) return v;
+    if (typeof v !== 'string') return [v];
+    return v.split(',').map(s => s.trim()).filter(Boolean).map(s => (/^-?\d+(\.\d+)?$/.test(s) ? Number(s) : s));
+  }
+
+  function readOptions(node, widget) {
+    let opts = {};
+    const script = node.querySelector(':scope > script[type="application/json"]');
+    if (script) {
+      try { opts = JSON.parse(script.textContent); } catch (err) { throw new Error(widget.tag + ': invalid JSON options: ' + err.message); }
+    }
+    for (const [key, value] of Object.entries(node.dataset)) {
+      if (key === 'loading' || key === widget.flag || widget.skip.includes(key)) continue;
+      const parsed = parseAttrValue(value);
+      opts[key] = widget.lists.includes(key) ? asList(parsed) : parsed;
+    }
+    return opts;
+  }
+
+  // Custom elements connect as soon as their start tag is parsed, before the inline JSON
+  const domReady = () => document.readyState !== 'loading' ? Promise.resolve()
+    : new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+
+  function mount(node, widget) {
+    if (mounted.has(node)) return mounted.get(node).ready;
+    lazyPending.delete(node);
+    const ready = domReady().then(() => widget.create(node, readOptions(node, widget)));
+    mounted.set(node, { widget, ready });
+    ready.then(
+      result => node.dispatchEvent(new CustomEvent(widget.tag + ':ready', { detail: result, bubbles: true })),
+      err => {
+        console.error(err);
+        node.dispatchEvent(new CustomEvent(widget.tag + ':error', { detail: err, bubbles: true }));
+      }
+    );
+    return ready;
+  }
+
+  function queue(node, widget) {
+    if (mounted.has(node) || lazyPending.has(node)) return;
+    watchPage();   // removals are watched whether the page scan or autoInit(root) found the widget
+    if (node.dataset.loading === 'eager' || typeof IntersectionObserver === 'undefined') {
+      mount(node, widget);
+      return;
+    }
+    lazyObserver = lazyObserver || new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting || !lazyPending.has(entry.target)) return;
+        lazyObserver.unobserve(entry.target);
+        mount(entry.target, lazyPending.get(entry.target));
+      });
+    }, { rootMargin: LAZY_MARGIN });
+    lazyPending.set(node, widget);
+    lazyObserver.observe(node);
+  }
+
+  // A widget removed from the page is destroyed (or never created, if it was still waiting)
+  function unmount(node) {
+    if (lazyPending.delete(node)) lazyObserver.unobserve(node);
+    const entry = mounted.get(node);
+    if (!entry) return;
+    mounted.delete(node);
+    entry.ready.then(result => { if (result && typeof result.destroy === 'function') result.destroy(); }, () => {});
+  }
+
+  function scan(root, list) {
+    list.forEach(widget => {
+      if (root.matches && root.matches(widget.selector)) queue(root, widget);
+      root.querySelectorAll(widget.selector).forEach(node => queue(node, widget));
+    });
+  }
+
+  // Picks up widgets added to the page (for widgets whose page scan is on) and destroys removed ones
+  function watchPage() {
+    if (pageObserver || typeof MutationObserver === 'undefined') return;
+    pageObserver = new MutationObserver(records => {
+      const scanning = widgets.filter(w => w.scanning);
+      records.forEach(r => r.addedNodes.forEach(n => { if (n.nodeType === 1) scan(n, scanning); }));
+      [...mounted.keys(), ...lazyPending.keys()].forEach(node => { if (!node.isConnected) unmount(node); });
+    });
+    pageObserver.observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  /* Register a widget element:
+   *   { tag, create(node, options) => result | Promise, lists?: option keys read as arrays,
+   *     skip?: data-* keys (camelCase) that aren't options, enabled?() => false to leave the page scan off }
+   * <tag> and [data-<tag>] elements become widgets. Returns { autoInit(root) } to scan a part of the
+   * page on demand (works with the page scan off); the element's `controller` is Promise<result>.
+   */
+  function define(spec) {
+    const widget = {
+      skip: [], lists: [], enabled: () => true, ...spec,
+      selector: spec.tag + ', [data-' + spec.tag + ']',
+      flag: spec.tag.replace(/-(\w)/g, (_, c) => c.toUpperCase()),
+      scanning: false
+    };
+    widgets.push(widget);
+    if (typeof customElements !== 'undefined' && !customElements.get(widget.tag)) {
+      customElements.define(widget.tag, class extends HTMLElement {
+        connectedCallback() { queue(this, widget); }
+        // Moving the element within the page reconnects it straight away; only tear down real removals
+        disconnectedCallback() { queueMicrotask(() => { if (!this.isConnected) unmount(this); }); }
+        get controller() { return mounted.has(this) ? mounted.get(this).ready : null; }
+      });
+    }
+    // Scan after the widget's script, so a configure({ autoInit: false }) right after it still applies
+    const start = () => {
+      if (widget.scanning || !widget.enabled()) return;
+      widget.scanning = true;
+      scan(document, [widget]);
+      watchPage();
+    };
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start, { once: true });
+    else setTimeout(start, 0);
+    return { autoInit: (root = document) => scan(root, [widget]) };
+  }
+
+  pilgrim.embed = { define, parseAttrValue };
+  if (typeof module === 'object' && module.exports) module.exports = pilgrim.embed;
+
+})(window);
@@ -0,0 +1,16 @@
+/*! Pilgrim Map Kit — ES module entry for bundlers and <script type="module">.
+ *    import { PilgrimMapKit, tempChart } from './pilgrim-kit.mjs';
+ *  The classic scripts still register window.PilgrimMapKit / window.pilgrim.tempChart as well.
+ *  To bundle Leaflet and Chart.js instead of loading them at runtime:
+ *    import L from 'leaflet';
+ *    import Chart from 'chart.js/auto';
+ *    import 'leaflet/dist/leaflet.css';
+ *    PilgrimMapKit.configure({ L, Chart, libs: { leaflet: { css: false } } });
+ */
+import './pilgrim-embed.js';   // declarative <pilgrim-map> / <pilgrim-climate>; first, so neither script fetches it
+import './pilgrim-map.js';
+import './pilgrim-temp-chart.js';
+
+export const PilgrimMapKit = window.PilgrimMapKit;
+export const tempChart = window.pilgrim.tempChart;
+export default PilgrimMapKit;
@@ -1,52 +1,104 @@
 
-/*! Pilgrim Map Kit — creates a branded Leaflet map (GPX or GeoJSON) with optional elevation chart.
- *  Dependencies are auto-loaded once per page:
+/*! Pilgrim Map Kit — creates a branded Leaflet map (GPX, KML, TCX, GeoJSON or FIT-derived JSON)
+ *  with optional elevation chart.
+ *  Dependencies are auto-loaded once per page unless already present as globals:
  *    - Leaflet 1.9.x
- *    - leaflet-gpx 1.7.x (for GPX)
  *    - Chart.js 4.x (for elevation chart)
+ *  Use PilgrimMapKit.configure() to load them from your own host or to pass in bundled copies.
+ *  No script needed: <pilgrim-map data-gpx-url="…"> (or any element with data-pilgrim-map) is set up
+ *  automatically when it scrolls into view, with pilgrim-embed.js from the same folder.
  */
 (function (global) {
   const PMK = global.PilgrimMapKit = global.PilgrimMapKit || {};
 
+  // Where each dependency is loaded from when it isn't on the page already.
+  // `integrity` hashes are checked by the browser (Subresource Integrity).
+  const LIBS = {
+    leaflet: {
+      js: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+      integrity: 'sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=',
+      css: 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+      cssIntegrity: 'sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY='
+    },
+    chart: {
+      js: 'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.js',
+      integrity: 'sha256-dEAdc43T4D7l37O2hBIQ/ixOrYqWDEARykugt4qf2PM='
+    }
+  };
+  const SELF_URL = (document.currentScript && document.currentScript.src) || '';
+
+  // The Leaflet / Chart.js objects in use: ones passed to configure(), else the page globals
+  const injected = {};
+  let L = null;
+  let Chart = null;
+  function resolveLibs() {
+    L = injected.L || global.L || null;
+    Chart = injected.Chart || global.Chart || null;
+  }
+
   function ensureLeafletCss() {
-    // Add Leaflet CSS once if missing
-    const exists = !!document.querySelector('link[data-pmk-leaflet]');
+    // Add Leaflet CSS once, unless disabled or the page already links a copy
+    const lib = LIBS.leaflet;
+    if (!lib || !lib.css) return;
+    const exists = !!document.querySelector('link[data-pmk-leaflet], link[rel="stylesheet"][href*="leaflet.css"]');
     if (exists) return;
     const link = document.createElement('link');
     link.rel = 'stylesheet';
     link.crossOrigin = 'anonymous';
-    link.href = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
+    if (lib.cssIntegrity) link.integrity = lib.cssIntegrity;
+    link.href = lib.css;
     link.setAttribute('data-pmk-leaflet', 'true');
     document.head.appendChild(link);
   }
 
-  function loadScriptOnce(url, key) {
+  function loadScriptOnce(url, key, integrity) {
     PMK._scriptCache = PMK._scriptCache || {};
     if (PMK._scriptCache[key]) return PMK._scriptCache[key];
     PMK._scriptCache[key] = new Promise((resolve, reject) => {
       const s = document.createElement('script');
       s.src = url;
       s.async = true;
+      if (integrity) {
+        s.integrity = integrity;
+        s.crossOrigin = 'anonymous';
+      }
       s.onload = () => resolve();
-      s.onerror = () => reject(new Error('Failed to load ' + url));
+      s.onerror = () => reject(new Error('Failed to load ' + url + (integrity ? ' (or its integrity check failed)' : '')));
       document.head.appendChild(s);
     });
     return PMK._scriptCache[key];
   }
 
-  function ensureLibs(opts = {}) {
+  function loadLib(key) {
+    const lib = LIBS[key];
+    if (!lib || !lib.js) {
+      return Promise.reject(new Error(key + ' is not on the page and loading it is disabled (see PilgrimMapKit.configure)'));
+    }
+    return loadScriptOnce(lib.js, key, lib.integrity);
+  }
+
+  async function ensureLibs(opts = {}) {
     ensureLeafletCss();
+    resolveLibs();
     const wantsChart = opts.wantsChart !== false;
-    const wantsGPX = opts.wantsGPX !== false;
     const p = [];
-    p.push(loadScriptOnce('https://unpkg.com/leaflet@1.9.4/dist/leaflet.js', 'leaflet'));
-    if (wantsGPX) {
-      p.push(loadScriptOnce('https://cdn.jsdelivr.net/npm/leaflet-gpx@1.7.0/dist/leaflet-gpx.min.js', 'leaflet-gpx'));
-    }
-    if (wantsChart) {
-      p.push(loadScriptOnce('https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js', 'chart'));
-    }
-    return Promise.all(p);
+    if (!L) p.push(loadLib('leaflet'));
+    if (wantsChart && !Chart) p.push(loadLib('chart'));
+    await Promise.all(p);
+    resolveLibs();
+  }
+
+  /* Errors carry a stable `code` for onError handlers, and `fatal: false` when the map worked around
+   * the problem (the route still shows). Codes:
+   *   WRAPPER_NOT_FOUND, LIBS_FAILED, SOURCE_MISSING, SOURCE_INVALID, FETCH_FAILED, PARSE_FAILED,
+   *   ROUTE_EMPTY, ELEVATION_PROVIDER, EXPORT_FAILED, DESTROYED — fatal for the call that raised them
+   *   ROUTE_BAD_POINTS, NO_ELEVATION, PARTIAL_ELEVATION, VARIANT_FAILED, OPTION_INVALID, OFFLINE_UNAVAILABLE — warnings
+   */
+  function pmkError(code, message, fatal = true) {
+    const err = new Error(message);
+    err.code = code;
+    err.fatal = fatal;
+    return err;
   }
 
   function el(tag, className, parent) {
@@ -56,52 +108,1054 @@
     return e;
   }
 
+  // Display units. The parsed series are always km/m; these factors convert for display.
+  const UNITS = {
+    imperial: { dist: 'mi', elev: 'ft', perKm: 0.621371, perM: 3.28084 },
+    metric:   { dist: 'km', elev: 'm',  perKm: 1,        perM: 1 }
+  };
+  function unitsFor(units) { return UNITS[units] || UNITS.imperial; }
+
   function toRad(deg) { return deg * Math.PI / 180; }
-  function haversineMiles(a, b) {
+  function haversineKm(a, b) {
     const R_km = 6371;
     const dLat = toRad(b.lat - a.lat);
     const dLon = toRad(b.lon - a.lon);
     const A = Math.sin(dLat/2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon/2) ** 2;
-    const d_km = 2 * R_km * Math.asin(Math.sqrt(A));
-    return d_km * 0.621371;
+    return 2 * R_km * Math.asin(Math.sqrt(A));
   }
 
-  function parseGPXToSeries(gpxXml) {
-    const xml = new DOMParser().parseFromString(gpxXml, 'application/xml');
-    const trks = Array.from(xml.getElementsByTagName('trk'));
-    if (!trks.length) throw new Error('No <trk> in GPX');
+  /* Route sources. Each parser turns one input format into the same track model:
+   *   { pts: [{lat, lon, ele}], ranges: [{name, startIdx, endIdx}], waypoints: [{lat, lon, ele, name, desc, link, type, sym}] }
+   * `ele` is metres (NaN when missing); each range is a stage. `json: true` sources are handed parsed JSON.
+   */
+  const SOURCES = {
+    gpx:     { parse: text => gpxToTrack(parseXml(text)) },
+    kml:     { parse: text => kmlToTrack(parseXml(text)) },
+    tcx:     { parse: text => tcxToTrack(parseXml(text)) },
+    geojson: { json: true, parse: obj => geojsonToTrack(obj) },
+    fit:     { json: true, parse: obj => fitJsonToTrack(obj) }
+  };
+
+  function parseXml(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length) throw new Error('Route file is not valid XML');
+    return xml;
+  }
 
+  // Build a track from a list of point groups; each group becomes a stage
+  function trackFromGroups(groups, waypoints = []) {
     const pts = [];
-    const stageEndIdx = [];
-    trks.forEach(trk => {
-      const ptsInTrk = Array.from(trk.getElementsByTagName('trkpt')).map(pt => ({
+    const ranges = [];
+    groups.forEach(g => {
+      if (!g.pts.length) return;
+      const startIdx = pts.length;
+      pts.push(...g.pts);
+      ranges.push({ name: g.name || '', startIdx, endIdx: pts.length - 1 });
+    });
+    return { pts, ranges, waypoints };
+  }
+
+  function num(text) { return parseFloat(text ?? 'NaN'); }
+
+  // Elements by local name, so prefixed GPX (<gpx:trkpt>) reads the same as the default namespace
+  const byName = (node, name) => node.getElementsByTagNameNS('*', name);
+
+  function gpxToTrack(xml) {
+    let trks = Array.from(byName(xml, 'trk'));
+    let ptTag = 'trkpt';
+    if (!trks.length) { trks = Array.from(byName(xml, 'rte')); ptTag = 'rtept'; }
+    if (!trks.length) throw new Error('No <trk> in GPX');
+
+    const groups = trks.map(trk => ({
+      name: childText(trk, 'name'),
+      pts: Array.from(byName(trk, ptTag)).map(pt => ({
         lat: parseFloat(pt.getAttribute('lat')),
         lon: parseFloat(pt.getAttribute('lon')),
-        ele: parseFloat(pt.getElementsByTagName('ele')[0]?.textContent ?? '0')
+        ele: num(byName(pt, 'ele')[0]?.textContent)
+      }))
+    }));
+    const waypoints = Array.from(byName(xml, 'wpt')).map(w => ({
+      lat: parseFloat(w.getAttribute('lat')),
+      lon: parseFloat(w.getAttribute('lon')),
+      ele: num(childText(w, 'ele') || undefined),
+      name: childText(w, 'name'),
+      desc: childText(w, 'desc') || childText(w, 'cmt'),
+      link: Array.from(w.children).find(n => n.localName === 'link')?.getAttribute('href') || '',
+      type: childText(w, 'type'),
+      sym: childText(w, 'sym')
+    }));
+    return trackFromGroups(groups, waypoints);
+  }
+
+  // KML (e.g. Google My Maps): line Placemarks are stages, point Placemarks are waypoints
+  function kmlToTrack(xml) {
+    const groups = [];
+    const waypoints = [];
+    const coordsOf = text => text.trim().split(/\s+/).filter(Boolean).map(t => {
+      const [lon, lat, ele] = t.split(',').map(Number);
+      return { lat, lon, ele: ele ?? NaN };
+    });
+    Array.from(xml.getElementsByTagName('Placemark')).forEach(pm => {
+      const name = childText(pm, 'name');
+      const linePts = [];
+      Array.from(pm.getElementsByTagName('LineString')).forEach(ls => {
+        linePts.push(...coordsOf(ls.getElementsByTagName('coordinates')[0]?.textContent || ''));
+      });
+      // gx:Track — "lon lat alt" per <gx:coord>
+      Array.from(pm.getElementsByTagName('*')).filter(n => n.localName === 'coord').forEach(c => {
+        const [lon, lat, ele] = c.textContent.trim().split(/\s+/).map(Number);
+        linePts.push({ lat, lon, ele: ele ?? NaN });
+      });
+      if (linePts.length) { groups.push({ name, pts: linePts }); return; }
+
+      const point = pm.getElementsByTagName('Point')[0];
+      if (point) {
+        const [p] = coordsOf(point.getElementsByTagName('coordinates')[0]?.textContent || '');
+        if (p) waypoints.push({ ...p, name, desc: childText(pm, 'description'), link: '', type: '', sym: '' });
+      }
+    });
+    if (!groups.length) throw new Error('No LineString in KML');
+    return trackFromGroups(groups, waypoints);
+  }
+
+  // TCX (Garmin): each Lap (activities) or Course is a stage; CoursePoints are waypoints
+  function tcxToTrack(xml) {
+    const trackpoints = parent => Array.from(parent.getElementsByTagName('Trackpoint'))
+      .filter(tp => tp.getElementsByTagName('Position').length)
+      .map(tp => ({
+        lat: num(tp.getElementsByTagName('LatitudeDegrees')[0]?.textContent),
+        lon: num(tp.getElementsByTagName('LongitudeDegrees')[0]?.textContent),
+        ele: num(tp.getElementsByTagName('AltitudeMeters')[0]?.textContent)
       }));
-      pts.push(...ptsInTrk);
-      stageEndIdx.push(pts.length - 1);
+    const laps = Array.from(xml.getElementsByTagName('Lap'));
+    const courses = Array.from(xml.getElementsByTagName('Course'));
+    const groups = laps.length
+      ? laps.map((lap, i) => ({ name: 'Lap ' + (i + 1), pts: trackpoints(lap) }))
+      : courses.map(c => ({ name: childText(c, 'Name'), pts: trackpoints(c) }));
+    if (!groups.some(g => g.pts.length)) throw new Error('No Trackpoints in TCX');
+
+    const waypoints = Array.from(xml.getElementsByTagName('CoursePoint')).map(cp => ({
+      lat: num(cp.getElementsByTagName('LatitudeDegrees')[0]?.textContent),
+      lon: num(cp.getElementsByTagName('LongitudeDegrees')[0]?.textContent),
+      ele: num(cp.getElementsByTagName('AltitudeMeters')[0]?.textContent),
+      name: childText(cp, 'Name'),
+      desc: childText(cp, 'Notes'),
+      link: '',
+      type: childText(cp, 'PointType'),
+      sym: ''
+    }));
+    return trackFromGroups(groups, waypoints);
+  }
+
+  /* FIT files decoded to JSON (e.g. by fit-file-parser): a records array, { records }, { laps: [{ records }] }
+   * or { activity: { sessions: [{ laps: [{ records }] }] } }. Positions may be degrees or semicircles;
+   * altitude is metres (enhanced_altitude preferred).
+   */
+  function fitJsonToTrack(obj) {
+    const SEMI = 180 / 2147483648;
+    const deg = v => (Math.abs(v) > 180 ? v * SEMI : v);
+    const toPts = records => (records || [])
+      .filter(r => r.position_lat != null && r.position_long != null)
+      .map(r => ({
+        lat: deg(r.position_lat),
+        lon: deg(r.position_long),
+        ele: num(r.enhanced_altitude ?? r.altitude)
+      }));
+    const laps = obj?.activity?.sessions?.flatMap(s => s.laps || []) || obj?.laps || [];
+    const groups = laps.some(l => l.records?.length)
+      ? laps.map((l, i) => ({ name: 'Lap ' + (i + 1), pts: toPts(l.records) }))
+      : [{ name: '', pts: toPts(Array.isArray(obj) ? obj : obj?.records) }];
+    if (!groups.some(g => g.pts.length)) throw new Error('No positioned records in FIT data');
+    return trackFromGroups(groups);
+  }
+
+  // Guess a source type from a URL extension when none is given
+  function inferSourceType(src) {
+    if (src.type) return String(src.type).toLowerCase();
+    if (src.object) return 'geojson';
+    const m = /\.(gpx|kml|tcx|geojson|json)(?:$|[?#])/i.exec(src.url || '');
+    if (m) return m[1].toLowerCase() === 'json' ? 'geojson' : m[1].toLowerCase();
+    const t = (src.text || '').trimStart();
+    if (t.startsWith('{') || t.startsWith('[')) return 'geojson';
+    if (/<kml[\s>]/.test(t)) return 'kml';
+    if (/<TrainingCenterDatabase[\s>]/.test(t)) return 'tcx';
+    return 'gpx';
+  }
+
+  // Load and normalize a `source: { type, url | text | object }` into a track. The file is fetched
+  // once (HTTP-cacheable); big GPX files are parsed off the main thread.
+  async function loadTrack(src) {
+    if (!src || typeof src !== 'object') throw pmkError('SOURCE_INVALID', 'A route source must be an object like { url: "/route.gpx" }');
+    const type = inferSourceType(src);
+    const def = SOURCES[type];
+    if (!def) {
+      throw pmkError('SOURCE_INVALID', 'Unknown route source type "' + type + '" (known: ' + Object.keys(SOURCES).join(', ') + ')');
+    }
+    const label = type.toUpperCase();
+
+    let input = src.object ?? src.text;
+    if (input == null) {
+      if (!src.url) throw pmkError('SOURCE_INVALID', 'The route source needs a url, text or object');
+      let res;
+      try {
+        res = await fetch(src.url);
+      } catch (err) {
+        throw pmkError('FETCH_FAILED', 'Could not download ' + src.url + ' (network error). Check the address and, ' +
+          'for another site, that it allows cross-origin requests');
+      }
+      if (!res.ok) {
+        throw pmkError('FETCH_FAILED', (res.status === 404 ? label + ' file not found: ' : 'Could not download ' + label + ' file ') +
+          src.url + ' (HTTP ' + res.status + ')');
+      }
+      input = await res.text();
+    }
+    try {
+      return checkTrack(await parseTrack(type, def, input), label);
+    } catch (err) {
+      if (!err.code) Object.assign(err, { code: 'PARSE_FAILED', fatal: true });
+      if (err.code === 'PARSE_FAILED' && !err.message.startsWith(label)) err.message = label + ' could not be read: ' + err.message;
+      throw err;
+    }
+  }
+
+  async function parseTrack(type, def, input) {
+    let track = null;
+    if (type === 'gpx' && def === BUILTIN_GPX && typeof input === 'string' &&
+        input.length >= WORKER_MIN_CHARS && typeof Worker !== 'undefined') {
+      // Falls back to the DOM parser if workers are unavailable (e.g. CSP blocks blob: URLs)
+      track = await parseGpxInWorker(input).catch(() => null);
+    }
+    if (!track) {
+      if (def.json && typeof input === 'string') input = JSON.parse(input);
+      track = def.parse(input);
+    }
+    return track;
+  }
+
+  const validLatLon = p => isFinite(p.lat) && isFinite(p.lon) && Math.abs(p.lat) <= 90 && Math.abs(p.lon) <= 180;
+
+  // Drop points without usable coordinates (stage ranges follow) and note how much elevation is missing.
+  // Problems the route survives are collected on track.warnings.
+  function checkTrack(track, label) {
+    if (!track || !Array.isArray(track.pts) || !Array.isArray(track.ranges)) {
+      throw pmkError('PARSE_FAILED', label + ' parser returned no { pts, ranges } track');
+    }
+    track.warnings = [];
+    const bad = track.pts.length - track.pts.filter(validLatLon).length;
+    if (bad) {
+      const pts = [];
+      track.ranges = track.ranges.map(r => {
+        const startIdx = pts.length;
+        for (let i = r.startIdx; i <= r.endIdx; i++) if (validLatLon(track.pts[i])) pts.push(track.pts[i]);
+        return { ...r, startIdx, endIdx: pts.length - 1 };
+      }).filter(r => r.endIdx >= r.startIdx);
+      track.pts = pts;
+      track.warnings.push(pmkError('ROUTE_BAD_POINTS', 'Skipped ' + bad + ' route point' + (bad > 1 ? 's' : '') +
+        ' with missing or invalid lat/lon', false));
+    }
+    if (track.pts.length < 2 && !(track.features?.length && !track.pts.length)) throw pmkError('ROUTE_EMPTY', label + ' has fewer than two route points with valid coordinates');
+    track.waypoints = (track.waypoints || []).filter(validLatLon);
+
+    const withEle = track.pts.filter(p => isFinite(p.ele)).length;
+    track.has3D = withEle > 0 && track.pts.some(p => isFinite(p.ele) && p.ele !== 0);
+    track.missingEle = track.has3D ? track.pts.length - withEle : track.pts.length;
+    track.label = label;
+    return track;
+  }
+
+  // GPX text at or above this size is parsed in a Web Worker
+  const WORKER_MIN_CHARS = 2000000;
+  const BUILTIN_GPX = SOURCES.gpx;
+
+  /* GPX parser for the worker (DOMParser isn't available there): a small XML parser builds an element
+   * tree, then the same walk as gpxToTrack. Namespace prefixes are dropped, attributes may come in any
+   * order, comments, processing instructions and DOCTYPE are skipped, CDATA and entities are decoded.
+   * Malformed XML throws, so parseTrack falls back to DOMParser. It must stay self-contained: its source
+   * is stringified into the worker. Produces the same track model as gpxToTrack.
+   */
+  function gpxTextToTrack(text) {
+    const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    const decode = s => s.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (m, e) => {
+      if (e[0] !== '#') return entities[e] ?? m;
+      return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    });
+    const local = name => name.slice(name.indexOf(':') + 1);
+    const until = (marker, from) => {
+      const at = text.indexOf(marker, from);
+      if (at < 0) throw new Error('Unterminated markup in GPX (expected "' + marker + '")');
+      return at;
+    };
+
+    const root = { name: '', attrs: {}, children: [], text: '' };
+    const stack = [root];
+    let i = 0;
+    while (i < text.length) {
+      const lt = text.indexOf('<', i);
+      const chunk = text.slice(i, lt < 0 ? text.length : lt);
+      if (/\S/.test(chunk)) stack[stack.length - 1].text += decode(chunk);
+      if (lt < 0) break;
+      if (text.startsWith('<!--', lt)) {
+        i = until('-->', lt + 4) + 3;
+      } else if (text.startsWith('<![CDATA[', lt)) {
+        const end = until(']]>', lt + 9);
+        stack[stack.length - 1].text += text.slice(lt + 9, end);
+        i = end + 3;
+      } else if (text.startsWith('<?', lt)) {
+        i = until('?>', lt + 2) + 2;
+      } else if (text.startsWith('<!', lt)) {
+        // DOCTYPE, possibly with an internal subset in [ … ]
+        const open = text.indexOf('[', lt);
+        const gt = until('>', lt);
+        i = (open > -1 && open < gt ? until('>', until(']', open)) : gt) + 1;
+      } else if (text[lt + 1] === '/') {
+        const gt = until('>', lt);
+        const name = local(text.slice(lt + 2, gt).trim());
+        const node = stack.pop();
+        if (stack.length === 0 || node.name !== name) throw new Error('Mismatched </' + name + '> in GPX');
+        i = gt + 1;
+      } else {
+        // Find the tag's end outside quoted attribute values
+        let j = lt + 1;
+        let quote = '';
+        while (j < text.length && (quote || text[j] !== '>')) {
+          if (quote) { if (text[j] === quote) quote = ''; } else if (text[j] === '"' || text[j] === "'") quote = text[j];
+          j++;
+        }
+        if (j >= text.length) throw new Error('Unterminated tag in GPX');
+        const selfClosing = text[j - 1] === '/';
+        const src = text.slice(lt + 1, selfClosing ? j - 1 : j);
+        const name = /^[^\s/>]+/.exec(src)?.[0];
+        if (!name) throw new Error('Invalid tag in GPX');
+        const node = { name: local(name), attrs: {}, children: [], text: '' };
+        const attrRe = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let m;
+        attrRe.lastIndex = name.length;
+        while ((m = attrRe.exec(src))) node.attrs[local(m[1])] = decode(m[2] ?? m[3]);
+        stack[stack.length - 1].children.push(node);
+        if (!selfClosing) stack.push(node);
+        i = j + 1;
+      }
+    }
+    if (stack.length > 1) throw new Error('Unclosed <' + stack[stack.length - 1].name + '> in GPX');
+
+    // Element helpers matching the DOM ones gpxToTrack uses
+    const all = (node, name, out = []) => {
+      node.children.forEach(c => { if (c.name === name) out.push(c); all(c, name, out); });
+      return out;
+    };
+    const textOf = node => node.text + node.children.map(textOf).join('');
+    const childText = (node, name) => {
+      const c = node.children.find(n => n.name === name);
+      return c ? textOf(c).trim() : '';
+    };
+    const num = s => parseFloat(s ?? 'NaN');
+
+    let ptTag = 'trkpt';
+    let trks = all(root, 'trk');
+    if (!trks.length) { trks = all(root, 'rte'); ptTag = 'rtept'; }
+    if (!trks.length) throw new Error('No <trk> in GPX');
+
+    const pts = [];
+    const ranges = [];
+    trks.forEach(trk => {
+      const startIdx = pts.length;
+      all(trk, ptTag).forEach(p => {
+        const ele = all(p, 'ele')[0];
+        pts.push({ lat: num(p.attrs.lat), lon: num(p.attrs.lon), ele: num(ele && textOf(ele)) });
+      });
+      if (pts.length === startIdx) return;
+      ranges.push({ name: childText(trk, 'name'), startIdx, endIdx: pts.length - 1 });
     });
+    const waypoints = all(root, 'wpt').map(w => ({
+      lat: num(w.attrs.lat),
+      lon: num(w.attrs.lon),
+      ele: num(childText(w, 'ele') || undefined),
+      name: childText(w, 'name'),
+      desc: childText(w, 'desc') || childText(w, 'cmt'),
+      link: w.children.find(n => n.name === 'link')?.attrs.href || '',
+      type: childText(w, 'type'),
+      sym: childText(w, 'sym')
+    }));
+    return { pts, ranges, waypoints };
+  }
+
+  let gpxWorkerUrl = null;
+  function parseGpxInWorker(text) {
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        if (!gpxWorkerUrl) {
+          const src = 'const gpxTextToTrack = ' + gpxTextToTrack.toString() + ';\n' +
+            'self.onmessage = e => { try { self.postMessage({ track: gpxTextToTrack(e.data) }); }' +
+            ' catch (err) { self.postMessage({ error: err.message }); } };';
+          gpxWorkerUrl = URL.createObjectURL(new Blob([src], { type: 'text/javascript' }));
+        }
+        worker = new Worker(gpxWorkerUrl);
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      worker.onmessage = e => {
+        worker.terminate();
+        if (e.data.error) reject(new Error(e.data.error)); else resolve(e.data.track);
+      };
+      worker.onerror = e => {
+        worker.terminate();
+        reject(new Error(e.message || 'GPX worker failed'));
+      };
+      worker.postMessage(text);
+    });
+  }
+
+  // Display simplification: Douglas–Peucker with a tolerance of DISPLAY_TOLERANCE_PX at the current zoom
+  const DISPLAY_TOLERANCE_PX = 1;
+  function metresPerPixel(zoom, lat) {
+    return 156543.03392 * Math.cos(toRad(lat)) / Math.pow(2, zoom);
+  }
+
+  // Indices of pts[startIdx..endIdx] kept by Douglas–Peucker (iterative; local equirectangular metres)
+  function simplifyIndices(pts, startIdx, endIdx, tolM) {
+    if (endIdx - startIdx < 2) return endIdx > startIdx ? [startIdx, endIdx] : [startIdx];
+    const kx = 111320 * Math.cos(toRad(pts[startIdx].lat));
+    const ky = 110540;
+    const keep = new Uint8Array(endIdx - startIdx + 1);
+    keep[0] = 1;
+    keep[keep.length - 1] = 1;
+    const tol2 = tolM * tolM;
+    const stack = [[startIdx, endIdx]];
+    while (stack.length) {
+      const [a, b] = stack.pop();
+      const ax = pts[a].lon * kx, ay = pts[a].lat * ky;
+      const dx = pts[b].lon * kx - ax, dy = pts[b].lat * ky - ay;
+      const len2 = dx * dx + dy * dy;
+      let maxD2 = 0, maxI = -1;
+      for (let i = a + 1; i < b; i++) {
+        const px = pts[i].lon * kx - ax, py = pts[i].lat * ky - ay;
+        const t = len2 ? Math.max(0, Math.min(1, (px * dx + py * dy) / len2)) : 0;
+        const ex = px - t * dx, ey = py - t * dy;
+        const d2 = ex * ex + ey * ey;
+        if (d2 > maxD2) { maxD2 = d2; maxI = i; }
+      }
+      if (maxD2 > tol2) {
+        keep[maxI - startIdx] = 1;
+        stack.push([a, maxI], [maxI, b]);
+      }
+    }
+    const out = [];
+    for (let i = 0; i < keep.length; i++) if (keep[i]) out.push(startIdx + i);
+    return out;
+  }
+
+  // Profile tuning: elevation is averaged over SMOOTH_WINDOW_M of distance, climbs smaller than
+  // CLIMB_THRESHOLD_M are treated as GPS noise, and grade is measured across GRADE_SPAN_M.
+  const SMOOTH_WINDOW_M = 100;
+  const CLIMB_THRESHOLD_M = 3;
+  const GRADE_SPAN_M = 60;
+
+  // Build cumulative distance (km), elevation (m), smoothed elevation, grade (%) and stage stats
+  function buildSeries(track, t) {
+    const { pts, ranges: stageRanges } = track;
+    const stageEndIdx = stageRanges.map(r => r.endIdx);
+    const distKm = [0];
+    for (let i = 1; i < pts.length; i++) distKm.push(distKm[i-1] + haversineKm(pts[i-1], pts[i]));
+    const elevM = fillElevationGaps(pts, distKm);
+    const smoothM = smoothElevation(distKm, elevM, SMOOTH_WINDOW_M / 1000);
+    const grade = gradeSeries(distKm, smoothM, GRADE_SPAN_M / 1000);
+
+    const series = {
+      pts, distKm, elevM, smoothM, grade, stageEndIdx,
+      totalKm: distKm[distKm.length - 1],
+      hasElevation: !!track.has3D,
+      waypoints: track.waypoints || []
+    };
+    series.stages = stageRanges.map((r, i) => stageStats(r, i, series, t));
+    series.totals = stageStats({ name: t('route'), startIdx: 0, endIdx: pts.length - 1 }, -1, series, t);
+    return series;
+  }
+
+  // Heights per point; gaps are interpolated by distance between the known neighbours (held flat at the ends)
+  function fillElevationGaps(pts, distKm) {
+    const out = pts.map(p => (isFinite(p.ele) ? p.ele : NaN));
+    let prev = -1;
+    for (let i = 0; i <= out.length; i++) {
+      if (i < out.length && !isFinite(out[i])) continue;
+      for (let j = prev + 1; j < i; j++) {
+        if (prev < 0 && i === out.length) out[j] = 0;
+        else if (prev < 0) out[j] = out[i];
+        else if (i === out.length) out[j] = out[prev];
+        else out[j] = out[prev] + (out[i] - out[prev]) * (distKm[j] - distKm[prev]) / ((distKm[i] - distKm[prev]) || 1);
+      }
+      prev = i;
+    }
+    return out;
+  }
+
+  // Moving average over a distance window (two pointers, O(n))
+  function smoothElevation(distKm, elevM, windowKm) {
+    const out = new Array(elevM.length);
+    let lo = 0, hi = 0, sum = 0;
+    for (let i = 0; i < elevM.length; i++) {
+      while (hi < elevM.length && distKm[hi] - distKm[i] <= windowKm / 2) sum += elevM[hi++];
+      while (distKm[i] - distKm[lo] > windowKm / 2) sum -= elevM[lo++];
+      out[i] = sum / (hi - lo);
+    }
+    return out;
+  }
+
+  // Grade (%) at each point, measured across a centered distance span
+  function gradeSeries(distKm, smoothM, spanKm) {
+    const out = new Array(smoothM.length);
+    let lo = 0, hi = 0;
+    for (let i = 0; i < smoothM.length; i++) {
+      while (hi < smoothM.length - 1 && distKm[hi] - distKm[i] < spanKm / 2) hi++;
+      while (distKm[i] - distKm[lo] > spanKm / 2) lo++;
+      const run = (distKm[hi] - distKm[lo]) * 1000;
+      out[i] = run > 0 ? (smoothM[hi] - smoothM[lo]) / run * 100 : 0;
+    }
+    return out;
+  }
+
+  // Cumulative ascent/descent with a noise threshold (hysteresis on the smoothed profile)
+  function climbTotals(smoothM, startIdx, endIdx) {
+    let ascentM = 0, descentM = 0;
+    let ref = smoothM[startIdx];
+    for (let i = startIdx + 1; i <= endIdx; i++) {
+      const d = smoothM[i] - ref;
+      if (d >= CLIMB_THRESHOLD_M) { ascentM += d; ref = smoothM[i]; }
+      else if (d <= -CLIMB_THRESHOLD_M) { descentM -= d; ref = smoothM[i]; }
+    }
+    return { ascentM, descentM };
+  }
+
+  // GeoJSON: each Feature's LineString/MultiLineString is a stage ([lon, lat, ele?]); Point features are waypoints.
+  // Everything that isn't a line (points, polygons) is also kept as `features`, drawn as a plain overlay.
+  function geojsonToTrack(gj) {
+    const groups = [];
+    const waypoints = [];
+    const features = [];
+    const toPt = c => ({ lat: c[1], lon: c[0], ele: c.length > 2 ? parseFloat(c[2]) : NaN });
+
+    function linesOf(geom) {
+      if (!geom) return [];
+      if (geom.type === 'LineString') return [geom.coordinates];
+      if (geom.type === 'MultiLineString') return geom.coordinates;
+      if (geom.type === 'GeometryCollection') return geom.geometries.flatMap(linesOf);
+      return [];
+    }
+    function walk(obj, props) {
+      if (!obj) return;
+      if (obj.type === 'FeatureCollection') { obj.features.forEach(f => walk(f)); return; }
+      if (obj.type === 'Feature') { walk(obj.geometry, obj.properties || {}); return; }
+      if (obj.type === 'GeometryCollection') obj.geometries.forEach(g => { if (!linesOf(g).length) walk(g, props); });
+      if (/^(Multi)?(Point|Polygon)$/.test(obj.type)) features.push({ type: 'Feature', properties: props || {}, geometry: obj });
+      if (obj.type === 'Point' && props) {
+        waypoints.push({
+          ...toPt(obj.coordinates),
+          name: props.name || '', desc: props.desc || props.description || '',
+          link: props.link || props.url || '', type: props.type || '', sym: props.sym || props.symbol || ''
+        });
+        return;
+      }
+      const pts = linesOf(obj).flat().map(toPt);
+      if (pts.length) groups.push({ name: props?.name || '', pts });
+    }
+    walk(gj);
+    if (!groups.length && !features.length) throw new Error('No LineString, Point or Polygon in GeoJSON');
+    return { ...trackFromGroups(groups, waypoints), features };
+  }
 
-    // Build cumulative distance (miles) and elevation (feet)
-    const distMi = [0];
-    const elevFt = [ (pts[0]?.ele ?? 0) * 3.28084 ];
-    for (let i = 1; i < pts.length; i++) {
-      distMi.push(distMi[i-1] + haversineMiles(pts[i-1], pts[i]));
-      const ele = isFinite(pts[i].ele) ? pts[i].ele : (elevFt[i-1] / 3.28084);
-      elevFt.push(ele * 3.28084);
+  // Text of a direct child element (so <trk><name> doesn't pick up a <trkpt><name>)
+  function childText(node, tag) {
+    const c = Array.from(node.children).find(n => n.localName === tag);
+    return c ? c.textContent.trim() : '';
+  }
+
+  // Per-stage totals in km/m (grade in %)
+  function stageStats(range, index, series, t) {
+    const { pts, distKm, elevM, grade } = series;
+    const { startIdx, endIdx } = range;
+    let minEleM = Infinity, maxEleM = -Infinity, maxGrade = 0;
+    for (let i = startIdx; i <= endIdx; i++) {
+      const e = elevM[i];
+      if (e < minEleM) minEleM = e;
+      if (e > maxEleM) maxEleM = e;
+      if (Math.abs(grade[i]) > Math.abs(maxGrade)) maxGrade = grade[i];
+    }
+    const { ascentM, descentM } = climbTotals(series.smoothM, startIdx, endIdx);
+    const a = pts[startIdx], b = pts[endIdx];
+    return {
+      index,
+      name: range.name || t('stage', { n: index + 1 }),
+      startIdx, endIdx,
+      distKm: distKm[endIdx] - distKm[startIdx],
+      ascentM, descentM, minEleM, maxEleM, maxGrade,
+      start: { lat: a.lat, lon: a.lon },
+      end: { lat: b.lat, lon: b.lon }
+    };
+  }
+
+  // Pace presets for walking-time estimates. Naismith uses flatKmh + climbMh (metres of ascent
+  // per hour); Tobler scales its ~5 km/h flat speed by toblerFactor.
+  const PACE_PRESETS = {
+    pilgrim: { flatKmh: 4,  climbMh: 400,  toblerFactor: 0.8 },
+    hiker:   { flatKmh: 5,  climbMh: 600,  toblerFactor: 1 },
+    cyclist: { flatKmh: 16, climbMh: 1200, toblerFactor: 3 }
+  };
+
+  // Langmuir's descent corrections to Naismith, per metre of descent (10 min per 300 m)
+  const LANGMUIR_H_PER_M = (10 / 60) / 300;
+  const GENTLE_DESCENT = Math.tan(toRad(5));   // 5–12°: subtract
+  const STEEP_DESCENT = Math.tan(toRad(12));   // > 12°: add
+
+  // Cumulative walking time (hours) at each point; segments use the smoothed profile
+  function estimateTimes(series, model, pace) {
+    const { distKm, smoothM } = series;
+    const timeH = [0];
+    const flatFactor = 5 / pace.flatKmh;
+    for (let i = 1; i < distKm.length; i++) {
+      const dKm = distKm[i] - distKm[i-1];
+      const dEle = smoothM[i] - smoothM[i-1];
+      let h;
+      if (model === 'tobler') {
+        const slope = dKm > 0 ? dEle / (dKm * 1000) : 0;
+        const kmh = 6 * Math.exp(-3.5 * Math.abs(slope + 0.05)) * pace.toblerFactor;
+        h = dKm / kmh;
+      } else {
+        h = dKm / pace.flatKmh + Math.max(dEle, 0) / pace.climbMh;
+        const slope = dKm > 0 ? -dEle / (dKm * 1000) : 0;
+        if (slope > STEEP_DESCENT) h += -dEle * LANGMUIR_H_PER_M * flatFactor;
+        else if (slope > GENTLE_DESCENT) h = Math.max(h + dEle * LANGMUIR_H_PER_M * flatFactor, dKm / pace.flatKmh / 2);
+      }
+      timeH.push(timeH[i-1] + h);
+    }
+    return timeH;
+  }
+
+  /* Localization: the `locale` option ('es', 'pt-BR', …) picks the UI words from PilgrimMapKit.messages
+   * by language, English for anything missing, and formats numbers with Intl. Add a language with
+   * PilgrimMapKit.messages.it = { … } or change a phrase in place; {name} placeholders are filled in.
+   * Error and warning messages (onError, the "error" event) stay in English.
+   */
+  const MESSAGES = {
+    en: {
+      stage: 'Stage {n}', route: 'Route', variant: 'Variant {n}', mainRoute: 'Main route', logo: 'Logo',
+      walkingTime: 'Walking time', distanceAxis: 'Distance ({unit})', elevationAxis: 'Elevation ({unit})',
+      hoursMinutes: '{h} h {m} min', minutes: '{m} min',
+      'poi.albergue': 'Albergues', 'poi.water': 'Water', 'poi.church': 'Churches', 'poi.pharmacy': 'Pharmacies', 'poi.other': 'Other',
+      moreInfo: 'More info', note: 'Note: ', error: 'Map/Elevation error: ', unknownError: 'Unknown error',
+      elevation: 'Elevation', youAreHere: 'You are here', tipElevation: 'Elevation: {value}', tipGrade: 'Grade: {value}',
+      tipTime: 'Time: ~{value}',
+      saveOffline: 'Save offline', saveOfflineSize: 'Save offline (~{size})',
+      offlineNeedsSw: 'Offline mode needs offline.swUrl.', offlineNeedsHttps: 'Offline mode needs a secure (https) page.',
+      offlineNeedsTiles: 'Offline mode needs offline.tileUrl, a tile server that allows saving tiles.',
+      offlineTiles: '{count} map tiles, zoom {min}–{max}', offlineTooMany: ' — too many; narrow the zoom range or buffer.',
+      offlineFree: ' · {size} free', offlineSavingAssets: 'Saving route and libraries…',
+      offlineSavingTiles: 'Saving map tiles… {done} / {total}',
+      offlineMissing: 'Saved with {count} missing tiles. Try again on a better connection.',
+      offlineSaved: 'Saved — this map works offline.', offlineFailed: 'Could not save offline: {error}',
+      locate: 'Show my position', locateUnsupported: 'Your browser cannot share its location.',
+      locateFinding: 'Finding your position…', locateUnavailable: 'Location unavailable: {error}', locateUnknown: 'unknown error',
+      offRoute: 'You are {distance} off the route (nearest point {along} along).', here: 'You are here: {distance} done',
+      climbUp: ', {height} up', toStageEnd: '{distance}{climb} to the end of {stage}', toGo: '{distance}{climb} to go',
+      download: 'Download', exportProfile: 'Elevation profile (PNG)', exportMapProfile: 'Map + profile (PNG)',
+      exportMap: 'Map (PNG)', exportShare: 'Share image…', exportRouteGpx: 'Route (GPX)', exportRouteGeojson: 'Route (GeoJSON)',
+      exportStageGpx: 'Stage (GPX)', exportStageGeojson: 'Stage (GeoJSON)',
+      distance: 'Distance', ascent: 'Ascent', descent: 'Descent', highest: 'Highest', steepest: 'Steepest'
+    },
+    es: {
+      stage: 'Etapa {n}', route: 'Ruta', variant: 'Variante {n}', mainRoute: 'Ruta principal', logo: 'Logotipo',
+      walkingTime: 'Tiempo a pie', distanceAxis: 'Distancia ({unit})', elevationAxis: 'Altitud ({unit})',
+      hoursMinutes: '{h} h {m} min', minutes: '{m} min',
+      'poi.albergue': 'Albergues', 'poi.water': 'Agua', 'poi.church': 'Iglesias', 'poi.pharmacy': 'Farmacias', 'poi.other': 'Otros',
+      moreInfo: 'Más información', note: 'Nota: ', error: 'Error del mapa o del perfil: ', unknownError: 'Error desconocido',
+      elevation: 'Altitud', youAreHere: 'Estás aquí', tipElevation: 'Altitud: {value}', tipGrade: 'Pendiente: {value}',
+      tipTime: 'Tiempo: ~{value}',
+      saveOffline: 'Guardar sin conexión', saveOfflineSize: 'Guardar sin conexión (~{size})',
+      offlineNeedsSw: 'El modo sin conexión necesita offline.swUrl.', offlineNeedsHttps: 'El modo sin conexión necesita una página segura (https).',
+      offlineNeedsTiles: 'El modo sin conexión necesita offline.tileUrl, un servidor de teselas que permita guardarlas.',
+      offlineTiles: '{count} teselas, zoom {min}–{max}', offlineTooMany: ' — demasiadas; reduzca el rango de zoom o el margen.',
+      offlineFree: ' · {size} libres', offlineSavingAssets: 'Guardando la ruta y las bibliotecas…',
+      offlineSavingTiles: 'Guardando teselas… {done} / {total}',
+      offlineMissing: 'Guardado con {count} teselas que faltan. Inténtelo de nuevo con una conexión mejor.',
+      offlineSaved: 'Guardado: este mapa funciona sin conexión.', offlineFailed: 'No se pudo guardar sin conexión: {error}',
+      locate: 'Mostrar mi posición', locateUnsupported: 'Su navegador no puede compartir su ubicación.',
+      locateFinding: 'Buscando su posición…', locateUnavailable: 'Ubicación no disponible: {error}', locateUnknown: 'error desconocido',
+      offRoute: 'Está a {distance} de la ruta (punto más cercano a {along} del inicio).', here: 'Está aquí: {distance} recorridos',
+      climbUp: ', {height} de subida', toStageEnd: '{distance}{climb} hasta el final de {stage}', toGo: 'Faltan {distance}{climb}',
+      download: 'Descargar', exportProfile: 'Perfil de altitud (PNG)', exportMapProfile: 'Mapa y perfil (PNG)',
+      exportMap: 'Mapa (PNG)', exportShare: 'Compartir imagen…', exportRouteGpx: 'Ruta (GPX)', exportRouteGeojson: 'Ruta (GeoJSON)',
+      exportStageGpx: 'Etapa (GPX)', exportStageGeojson: 'Etapa (GeoJSON)',
+      distance: 'Distancia', ascent: 'Subida', descent: 'Bajada', highest: 'Punto más alto', steepest: 'Máxima pendiente'
+    },
+    pt: {
+      stage: 'Etapa {n}', route: 'Percurso', variant: 'Variante {n}', mainRoute: 'Percurso principal', logo: 'Logotipo',
+      walkingTime: 'Tempo de caminhada', distanceAxis: 'Distância ({unit})', elevationAxis: 'Altitude ({unit})',
+      hoursMinutes: '{h} h {m} min', minutes: '{m} min',
+      'poi.albergue': 'Albergues', 'poi.water': 'Água', 'poi.church': 'Igrejas', 'poi.pharmacy': 'Farmácias', 'poi.other': 'Outros',
+      moreInfo: 'Mais informações', note: 'Nota: ', error: 'Erro no mapa ou no perfil: ', unknownError: 'Erro desconhecido',
+      elevation: 'Altitude', youAreHere: 'Você está aqui', tipElevation: 'Altitude: {value}', tipGrade: 'Inclinação: {value}',
+      tipTime: 'Tempo: ~{value}',
+      saveOffline: 'Salvar offline', saveOfflineSize: 'Salvar offline (~{size})',
+      offlineNeedsSw: 'O modo offline precisa de offline.swUrl.', offlineNeedsHttps: 'O modo offline precisa de uma página segura (https).',
+      offlineNeedsTiles: 'O modo offline precisa de offline.tileUrl, um servidor de blocos que permita salvá-los.',
+      offlineTiles: '{count} blocos de mapa, zoom {min}–{max}', offlineTooMany: ' — demais; reduza o intervalo de zoom ou a margem.',
+      offlineFree: ' · {size} livres', offlineSavingAssets: 'Salvando o percurso e as bibliotecas…',
+      offlineSavingTiles: 'Salvando blocos de mapa… {done} / {total}',
+      offlineMissing: 'Salvo com {count} blocos faltando. Tente de novo com uma conexão melhor.',
+      offlineSaved: 'Salvo — este mapa funciona offline.', offlineFailed: 'Não foi possível salvar offline: {error}',
+      locate: 'Mostrar minha posição', locateUnsupported: 'Seu navegador não pode compartilhar a localização.',
+      locateFinding: 'Procurando sua posição…', locateUnavailable: 'Localização indisponível: {error}', locateUnknown: 'erro desconhecido',
+      offRoute: 'Você está a {distance} do percurso (ponto mais próximo a {along} do início).', here: 'Você está aqui: {distance} percorridos',
+      climbUp: ', {height} de subida', toStageEnd: '{distance}{climb} até o fim de {stage}', toGo: 'Faltam {distance}{climb}',
+      download: 'Baixar', exportProfile: 'Perfil de altitude (PNG)', exportMapProfile: 'Mapa + perfil (PNG)',
+      exportMap: 'Mapa (PNG)', exportShare: 'Compartilhar imagem…', exportRouteGpx: 'Percurso (GPX)', exportRouteGeojson: 'Percurso (GeoJSON)',
+      exportStageGpx: 'Etapa (GPX)', exportStageGeojson: 'Etapa (GeoJSON)',
+      distance: 'Distância', ascent: 'Subida', descent: 'Descida', highest: 'Ponto mais alto', steepest: 'Maior inclinação'
+    },
+    fr: {
+      stage: 'Étape {n}', route: 'Itinéraire', variant: 'Variante {n}', mainRoute: 'Itinéraire principal', logo: 'Logo',
+      walkingTime: 'Temps de marche', distanceAxis: 'Distance ({unit})', elevationAxis: 'Altitude ({unit})',
+      hoursMinutes: '{h} h {m} min', minutes: '{m} min',
+      'poi.albergue': 'Gîtes', 'poi.water': 'Eau', 'poi.church': 'Églises', 'poi.pharmacy': 'Pharmacies', 'poi.other': 'Autres',
+      moreInfo: 'Plus d’infos', note: 'Remarque : ', error: 'Erreur de carte ou de profil : ', unknownError: 'Erreur inconnue',
+      elevation: 'Altitude', youAreHere: 'Vous êtes ici', tipElevation: 'Altitude : {value}', tipGrade: 'Pente : {value}',
+      tipTime: 'Temps : ~{value}',
+      saveOffline: 'Enregistrer hors ligne', saveOfflineSize: 'Enregistrer hors ligne (~{size})',
+      offlineNeedsSw: 'Le mode hors ligne nécessite offline.swUrl.', offlineNeedsHttps: 'Le mode hors ligne nécessite une page sécurisée (https).',
+      offlineNeedsTiles: 'Le mode hors ligne nécessite offline.tileUrl, un serveur de tuiles qui autorise leur enregistrement.',
+      offlineTiles: '{count} tuiles, zoom {min}–{max}', offlineTooMany: ' — trop ; réduisez la plage de zoom ou la marge.',
+      offlineFree: ' · {size} libres', offlineSavingAssets: 'Enregistrement de l’itinéraire et des bibliothèques…',
+      offlineSavingTiles: 'Enregistrement des tuiles… {done} / {total}',
+      offlineMissing: 'Enregistré avec {count} tuiles manquantes. Réessayez avec une meilleure connexion.',
+      offlineSaved: 'Enregistré — cette carte fonctionne hors ligne.', offlineFailed: 'Impossible d’enregistrer hors ligne : {error}',
+      locate: 'Afficher ma position', locateUnsupported: 'Votre navigateur ne peut pas partager votre position.',
+      locateFinding: 'Recherche de votre position…', locateUnavailable: 'Position indisponible : {error}', locateUnknown: 'erreur inconnue',
+      offRoute: 'Vous êtes à {distance} de l’itinéraire (point le plus proche à {along} du départ).', here: 'Vous êtes ici : {distance} parcourus',
+      climbUp: ', {height} de montée', toStageEnd: '{distance}{climb} jusqu’à la fin de {stage}', toGo: 'Encore {distance}{climb}',
+      download: 'Télécharger', exportProfile: 'Profil altimétrique (PNG)', exportMapProfile: 'Carte + profil (PNG)',
+      exportMap: 'Carte (PNG)', exportShare: 'Partager l’image…', exportRouteGpx: 'Itinéraire (GPX)', exportRouteGeojson: 'Itinéraire (GeoJSON)',
+      exportStageGpx: 'Étape (GPX)', exportStageGeojson: 'Étape (GeoJSON)',
+      distance: 'Distance', ascent: 'Montée', descent: 'Descente', highest: 'Point culminant', steepest: 'Pente max.'
+    },
+    de: {
+      stage: 'Etappe {n}', route: 'Route', variant: 'Variante {n}', mainRoute: 'Hauptroute', logo: 'Logo',
+      walkingTime: 'Gehzeit', distanceAxis: 'Entfernung ({unit})', elevationAxis: 'Höhe ({unit})',
+      hoursMinutes: '{h} Std. {m} Min.', minutes: '{m} Min.',
+      'poi.albergue': 'Herbergen', 'poi.water': 'Wasser', 'poi.church': 'Kirchen', 'poi.pharmacy': 'Apotheken', 'poi.other': 'Sonstiges',
+      moreInfo: 'Mehr Infos', note: 'Hinweis: ', error: 'Fehler bei Karte/Höhenprofil: ', unknownError: 'Unbekannter Fehler',
+      elevation: 'Höhe', youAreHere: 'Sie sind hier', tipElevation: 'Höhe: {value}', tipGrade: 'Steigung: {value}',
+      tipTime: 'Zeit: ~{value}',
+      saveOffline: 'Offline speichern', saveOfflineSize: 'Offline speichern (~{size})',
+      offlineNeedsSw: 'Der Offline-Modus braucht offline.swUrl.', offlineNeedsHttps: 'Der Offline-Modus braucht eine sichere (https-)Seite.',
+      offlineNeedsTiles: 'Der Offline-Modus braucht offline.tileUrl, einen Kachelserver, der das Speichern erlaubt.',
+      offlineTiles: '{count} Kartenkacheln, Zoom {min}–{max}', offlineTooMany: ' — zu viele; Zoombereich oder Puffer verkleinern.',
+      offlineFree: ' · {size} frei', offlineSavingAssets: 'Route und Bibliotheken werden gespeichert…',
+      offlineSavingTiles: 'Kartenkacheln werden gespeichert… {done} / {total}',
+      offlineMissing: 'Gespeichert, {count} Kacheln fehlen. Bei besserer Verbindung erneut versuchen.',
+      offlineSaved: 'Gespeichert — diese Karte funktioniert offline.', offlineFailed: 'Offline-Speichern fehlgeschlagen: {error}',
+      locate: 'Meine Position zeigen', locateUnsupported: 'Ihr Browser kann den Standort nicht freigeben.',
+      locateFinding: 'Position wird ermittelt…', locateUnavailable: 'Standort nicht verfügbar: {error}', locateUnknown: 'unbekannter Fehler',
+      offRoute: 'Sie sind {distance} von der Route entfernt (nächster Punkt bei {along}).', here: 'Sie sind hier: {distance} geschafft',
+      climbUp: ', {height} Anstieg', toStageEnd: '{distance}{climb} bis zum Ende von {stage}', toGo: 'Noch {distance}{climb}',
+      download: 'Herunterladen', exportProfile: 'Höhenprofil (PNG)', exportMapProfile: 'Karte + Profil (PNG)',
+      exportMap: 'Karte (PNG)', exportShare: 'Bild teilen…', exportRouteGpx: 'Route (GPX)', exportRouteGeojson: 'Route (GeoJSON)',
+      exportStageGpx: 'Etappe (GPX)', exportStageGeojson: 'Etappe (GeoJSON)',
+      distance: 'Entfernung', ascent: 'Aufstieg', descent: 'Abstieg', highest: 'Höchster Punkt', steepest: 'Max. Steigung'
     }
+  };
 
-    const totalMi = distMi[distMi.length - 1];
-    const stageScatter = stageEndIdx.filter(idx => idx > 0).map((idx, s) => ({
-      x: distMi[idx], y: elevFt[idx], _isFinal: s === stageEndIdx.length - 1
+  // t(key, vars) => the phrase in the locale's language; t.num(v, maxDigits = 0, minDigits = 0) formats a number
+  function translator(locale) {
+    let tag = 'en';
+    try { tag = Intl.getCanonicalLocales(locale || 'en')[0] || 'en'; } catch (_) { /* invalid tag: English */ }
+    const table = { ...MESSAGES.en, ...(MESSAGES[tag.split('-')[0].toLowerCase()] || {}) };
+    const t = (key, vars) => String(key in table ? table[key] : key)
+      .replace(/\{(\w+)\}/g, (all, k) => (vars && vars[k] != null ? vars[k] : all));
+    const formats = {};
+    t.locale = tag;
+    t.num = (v, max = 0, min = 0) => {
+      const k = max + '/' + min;
+      formats[k] = formats[k] || new Intl.NumberFormat(tag, { minimumFractionDigits: min, maximumFractionDigits: max });
+      return formats[k].format(v);
+    };
+    return t;
+  }
+
+  // Walking time in the locale's words and digits, e.g. "5 h 07 min"
+  const twoDigits = {};   // locale → Intl.NumberFormat padding minutes to two digits
+  function formatDuration(hours, t) {
+    const mins = Math.round(hours * 60);
+    const h = Math.floor(mins / 60), m = mins % 60;
+    if (!h) return t('minutes', { m: t.num(m) });
+    twoDigits[t.locale] = twoDigits[t.locale] || new Intl.NumberFormat(t.locale, { minimumIntegerDigits: 2 });
+    return t('hoursMinutes', { h: t.num(h), m: twoDigits[t.locale].format(m) });
+  }
+
+  // Grade bands for colored profiles; matched on absolute grade (%), first band whose max is above it
+  const GRADE_BANDS = [
+    { max: 5,        color: '#43a047', label: '< 5%' },
+    { max: 10,       color: '#fbc02d', label: '5–10%' },
+    { max: 15,       color: '#f57c00', label: '10–15%' },
+    { max: Infinity, color: '#d32f2f', label: '> 15%' }
+  ];
+  function bandIndex(bands, g) {
+    const a = Math.abs(g);
+    const i = bands.findIndex(b => a < b.max);
+    return i < 0 ? bands.length - 1 : i;
+  }
+
+  function withAlpha(hex, alpha) {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    if (!m) return hex;
+    return 'rgba(' + parseInt(m[1], 16) + ',' + parseInt(m[2], 16) + ',' + parseInt(m[3], 16) + ',' + alpha + ')';
+  }
+
+  function formatStage(stage, units, hasElevation, t) {
+    const u = unitsFor(units);
+    const n = v => t.num(v);
+    return t.num(stage.distKm * u.perKm, 1, 1) + ' ' + u.dist +
+      (hasElevation ? ' · ↑ ' + n(stage.ascentM * u.perM) + ' ' + u.elev +
+        ' · ↓ ' + n(stage.descentM * u.perM) + ' ' + u.elev : '') +
+      (stage.timeH != null ? ' · ~' + formatDuration(stage.timeH, t) : '');
+  }
+
+  // Convert km/m series into display units for the chart; xs is distance, or hours when xAxis is 'time'
+  function seriesInUnits(series, units, xAxis) {
+    const u = unitsFor(units);
+    const dist = series.distKm.map(d => d * u.perKm);
+    const elev = series.elevM.map(e => e * u.perM);
+    const xs = (xAxis === 'time' && series.timeH) ? series.timeH : dist;
+    const stageScatter = series.stageEndIdx.filter(idx => idx > 0).map((idx, s) => ({
+      x: xs[idx], y: elev[idx], _isFinal: s === series.stageEndIdx.length - 1
     }));
+    return { dist, elev, xs, stageScatter };
+  }
 
-    return { pts, distMi, elevFt, totalMi, stageScatter };
+  // Index of the value closest to v in an ascending array
+  function nearestIndex(sorted, v) {
+    let lo = 0, hi = sorted.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] < v) lo = mid + 1; else hi = mid;
+    }
+    const i1 = Math.max(0, lo - 1);
+    return (Math.abs(sorted[i1] - v) <= Math.abs(sorted[lo] - v)) ? i1 : lo;
+  }
+
+  /* Permalinks: each map keeps its view in one entry of the URL hash, e.g.
+   *   #camino=z:13;c:42.81,-1.64;s:2;x:10~25.5;d:23.1;u:metric&other=...
+   * Entries of other instances (and plain anchors) are left as they are.
+   */
+  function readHashState(key) {
+    const entry = location.hash.slice(1).split('&').find(p => p.startsWith(key + '='));
+    if (!entry) return null;
+    const state = {};
+    entry.slice(key.length + 1).split(';').forEach(part => {
+      const i = part.indexOf(':');
+      if (i > 0) state[part.slice(0, i)] = decodeURIComponent(part.slice(i + 1));
+    });
+    return state;
+  }
+
+  function writeHashState(key, state) {
+    const value = Object.entries(state).filter(([, v]) => v != null && v !== '').map(([k, v]) => k + ':' + v).join(';');
+    const parts = location.hash.slice(1).split('&').filter(p => p && !p.startsWith(key + '='));
+    if (value) parts.push(key + '=' + value);
+    const hash = parts.length ? '#' + parts.join('&') : '';
+    // replaceState: panning the map shouldn't fill the back button history
+    if (hash !== location.hash) history.replaceState(history.state, '', hash || location.pathname + location.search);
+  }
+
+  // Where route point idx sits: distance done, and what is left of its stage and of the route (km/m)
+  function routeProgress(series, idx) {
+    const stage = series.stages.find(st => idx >= st.startIdx && idx <= st.endIdx) || series.totals;
+    const last = series.pts.length - 1;
+    const climbLeft = end => series.hasElevation ? climbTotals(series.smoothM, idx, end).ascentM : null;
+    return {
+      index: idx,
+      stageIndex: stage.index,
+      doneKm: series.distKm[idx],
+      remainingKm: series.distKm[last] - series.distKm[idx],
+      stageRemainingKm: series.distKm[stage.endIdx] - series.distKm[idx],
+      stageRemainingAscentM: climbLeft(stage.endIdx),
+      remainingAscentM: climbLeft(last)
+    };
+  }
+
+  function poiScatter(pois, xs, elev, hidden) {
+    return pois.filter(p => p.index > -1 && !hidden.has(p.key))
+      .map(p => ({ x: xs[p.index], y: elev[p.index], poi: p }));
+  }
+
+  function elevationScales(units, min, max, xAxis, t) {
+    const u = unitsFor(units);
+    const x = xAxis === 'time'
+      ? { ticks: { callback: v => formatDuration(v, t) }, title: { display: true, text: t('walkingTime') } }
+      : { ticks: { callback: v => t.num(v) + ' ' + u.dist }, title: { display: true, text: t('distanceAxis', { unit: u.dist }) } };
+    return {
+      x: { type: 'linear', min, max, ...x },
+      y: { title: { display: true, text: t('elevationAxis', { unit: u.elev }) },
+           ticks: { callback: v => t.num(v) + ' ' + u.elev } }
+    };
+  }
+
+  /* POI categories for route waypoints. `match` is tested against the waypoint's <type> and <sym>
+   * (then its name); the first match wins, and `other` only catches what nothing else claims. `icon` is text/emoji drawn in a colored badge, or set
+   * `iconUrl` (+ optional `iconSize`) for an image icon.
+   */
+  const POI_CATEGORIES = {
+    albergue: { label: 'Albergues',  match: /albergue|hostel|lodging|hotel|refugio|camp/i, icon: '🛏', color: '#6d4c41' },
+    water:    { label: 'Water',      match: /water|fuente|fountain/i,                      icon: '💧', color: '#0288d1' },
+    church:   { label: 'Churches',   match: /church|iglesia|chapel|cathedral|ermita/i,     icon: '⛪', color: '#5e35b1' },
+    pharmacy: { label: 'Pharmacies', match: /pharmacy|farmacia|medical/i,                  icon: '✚', color: '#2e7d32' },
+    other:    { label: 'Other',      match: /.*/,                                           icon: '•', color: '#546e7a' }
+  };
+  // Waypoints further than this from the route don't get a marker on the elevation chart
+  const POI_MAX_OFFSET_KM = 0.5;
+  const ROUTE_HOVER_PX = 16;   // how close (screen px) the pointer must be to the route to sync the chart
+  const ROUTE_TAP_PX = 28;     // a little more slack for fingers
+  const YOU_COLOR = '#1a73e8';  // "you are here" marker on the map and chart
+  // Route variants: default colors, and a fixed display simplification (they aren't re-simplified per zoom)
+  const VARIANT_COLORS = ['#d81b60', '#f57c00', '#8e24aa', '#00897b', '#6d4c41'];
+  const VARIANT_TOLERANCE_M = 5;
+
+  function poiCategory(categories, wp) {
+    const keys = Object.keys(categories);
+    const hay = [wp.type, wp.sym].filter(Boolean).join(' ');
+    return keys.find(k => hay && k !== 'other' && categories[k].match.test(hay))
+      || keys.find(k => wp.name && k !== 'other' && categories[k].match.test(wp.name))
+      || (categories.other ? 'other' : keys[keys.length - 1]);
+  }
+
+  function poiIcon(cat) {
+    if (cat.iconUrl) {
+      const size = cat.iconSize || [24, 24];
+      return L.icon({ iconUrl: cat.iconUrl, iconSize: size, iconAnchor: [size[0] / 2, size[1] / 2], popupAnchor: [0, -size[1] / 2] });
+    }
+    const html = document.createElement('span');
+    html.className = 'pm-poi-badge';
+    html.style.background = cat.color;
+    html.textContent = cat.icon || '';
+    return L.divIcon({ className: 'pm-poi-icon', html, iconSize: [24, 24], iconAnchor: [12, 12], popupAnchor: [0, -12] });
+  }
+
+  // Popup built from DOM nodes so waypoint text is never parsed as HTML
+  function poiPopup(wp, cat, t) {
+    const box = el('div', 'pm-poi-popup');
+    el('strong', '', box).textContent = wp.name || cat.label;
+    if (wp.desc) el('div', 'pm-poi-desc', box).textContent = wp.desc;
+    if (wp.link && /^https?:/i.test(wp.link)) {
+      const a = el('a', '', box);
+      a.href = wp.link;
+      a.target = '_blank';
+      a.rel = 'noopener';
+      a.textContent = t('moreInfo');
+    }
+    return box;
+  }
+
+  /* Non-line GeoJSON features (points, polygons) drawn as they were given. Styling follows the
+   * simplestyle properties (stroke, stroke-width, stroke-opacity, fill, fill-opacity) over the route
+   * line style; features with a name or description get a popup.
+   */
+  function featureOverlay(features, lineOpts, t) {
+    const style = f => {
+      const p = f.properties || {};
+      const out = { ...lineOpts };
+      if (p.stroke) out.color = p.stroke;
+      if (isFinite(p['stroke-width'])) out.weight = +p['stroke-width'];
+      if (isFinite(p['stroke-opacity'])) out.opacity = +p['stroke-opacity'];
+      if (p.fill) out.fillColor = p.fill;
+      if (isFinite(p['fill-opacity'])) out.fillOpacity = +p['fill-opacity'];
+      return out;
+    };
+    return L.geoJSON({ type: 'FeatureCollection', features }, {
+      style,
+      onEachFeature: (f, layer) => {
+        const p = f.properties || {};
+        const wp = { name: p.name || p.title || '', desc: p.desc || p.description || '', link: p.link || p.url || '' };
+        if (wp.name || wp.desc) layer.bindPopup(poiPopup(wp, { label: '' }, t));
+      }
+    });
+  }
+
+  // fn with the latest arguments, at most once per animation frame (for pointer move handlers)
+  function perFrame(fn) {
+    let frame = 0, args = null;
+    const run = (...a) => {
+      args = a;
+      if (!frame) frame = requestAnimationFrame(() => { frame = 0; fn(...args); });
+    };
+    run.cancel = () => {
+      cancelAnimationFrame(frame);
+      frame = 0;
+    };
+    return run;
+  }
+
+  // Grid of route points (cells of ROUTE_CELL_DEG) for nearest-point lookups on long tracks.
+  // nearest(lat, lon, maxKm) => { index, km }, index -1 when no point is within maxKm.
+  const ROUTE_CELL_DEG = 0.01;
+  function routeIndex(pts) {
+    const cells = new Map();
+    const cellOf = v => Math.floor(v / ROUTE_CELL_DEG);
+    pts.forEach((p, i) => {
+      const key = cellOf(p.lat) + ':' + cellOf(p.lon);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(i);
+    });
+
+    function nearest(lat, lon, maxKm) {
+      const target = { lat, lon };
+      let index = -1, km = maxKm;
+      const test = i => {
+        const d = haversineKm(pts[i], target);
+        if (d <= km) { km = d; index = i; }
+      };
+      // Cells to search each way (a degree of longitude is the shorter side)
+      const side = 111.32 * ROUTE_CELL_DEG * Math.max(Math.cos(toRad(lat)), 0.01);
+      const reach = Math.ceil(maxKm / side);
+      if ((2 * reach + 1) * (2 * reach + 1) > pts.length) {
+        for (let i = 0; i < pts.length; i++) test(i);
+      } else {
+        // Rings of cells outward from the target; points in ring r are at least (r - 1) cells away,
+        // so stop once the best match is closer than that
+        const cy = cellOf(lat), cx = cellOf(lon);
+        for (let r = 0; r <= reach && !(index > -1 && km <= (r - 1) * side); r++) {
+          for (let y = cy - r; y <= cy + r; y++) {
+            const step = (y === cy - r || y === cy + r) ? 1 : 2 * r;
+            for (let x = cx - r; x <= cx + r; x += step) {
+              const cell = cells.get(y + ':' + x);
+              if (cell) cell.forEach(test);
+            }
+          }
+        }
+      }
+      return { index, km: index > -1 ? km : Infinity };
+    }
+    return { nearest };
+  }
+
+  // One polyline per run of points in the same grade band; line(startIdx, endIdx, style) draws the
+  // run from the simplified route geometry
+  function gradePolylines(series, bands, lineOpts, line) {
+    const group = L.layerGroup();
+    const { pts, grade } = series;
+    let runStart = 0;
+    for (let i = 1; i <= pts.length; i++) {
+      const band = bandIndex(bands, grade[i - 1]);
+      if (i < pts.length && bandIndex(bands, grade[i]) === band) continue;
+      const runEnd = Math.min(i, pts.length - 1);
+      if (runEnd > runStart) {
+        line(runStart, runEnd, { ...lineOpts, color: bands[band].color, interactive: false }).addTo(group);
+      }
+      runStart = i;
+    }
+    return group;
   }
 
   function addCityMarkers(map, cities = []) {
-    cities.forEach(c => {
+    cities.filter(validLatLon).forEach(c => {
       const m = L.marker([c.lat, c.lon]).addTo(map);
       if (c.popup) m.bindPopup(c.popup);
       const label = c.label || c.name;
@@ -116,13 +1170,255 @@
     });
   }
 
+  /* Offline mode: tiles around the route, the route file and the libraries go into "pmk-*" caches,
+   * which pilgrim-sw.js serves when the network fails. Only use it with a tile provider whose usage
+   * policy allows pre-fetching (the public OpenStreetMap servers do not allow bulk downloads).
+   */
+  const OFFLINE_CACHES = { tiles: 'pmk-tiles-v1', assets: 'pmk-assets-v1' };
+  const AVG_TILE_BYTES = 25000;   // typical raster tile; only used for the size estimate
+
+  function lonToTileX(lon, z) { return Math.floor((lon + 180) / 360 * Math.pow(2, z)); }
+  function latToTileY(lat, z) {
+    const r = toRad(lat);
+    return Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * Math.pow(2, z));
+  }
+
+  // Tile coordinates within bufferKm of the route, for each zoom in [minZoom, maxZoom]
+  function routeTiles(pts, minZoom, maxZoom, bufferKm) {
+    const tiles = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+      const seen = new Set();
+      // Walk the route in steps of a quarter tile so long straight segments don't skip tiles
+      const stepKm = 40075 * Math.cos(toRad(pts[0].lat)) / Math.pow(2, z) / 4;
+      const mark = (lat, lon) => {
+        const dLat = bufferKm / 110.574;
+        const dLon = bufferKm / (111.32 * Math.cos(toRad(lat)));
+        for (let x = lonToTileX(lon - dLon, z); x <= lonToTileX(lon + dLon, z); x++) {
+          for (let y = latToTileY(lat + dLat, z); y <= latToTileY(lat - dLat, z); y++) {
+            const key = x + '/' + y;
+            if (!seen.has(key)) { seen.add(key); tiles.push({ x, y, z }); }
+          }
+        }
+      };
+      mark(pts[0].lat, pts[0].lon);
+      for (let i = 1; i < pts.length; i++) {
+        const a = pts[i - 1], b = pts[i];
+        const n = Math.ceil(haversineKm(a, b) / stepKm);
+        for (let k = 1; k <= n; k++) mark(a.lat + (b.lat - a.lat) * k / n, a.lon + (b.lon - a.lon) * k / n);
+      }
+    }
+    return tiles;
+  }
+
+  // Same URL Leaflet requests for a tile (it picks subdomains by (x + y) % n and fills {r} on retina screens).
+  // Not layer.getTileUrl(): that one always uses the zoom the map is at, not the tile's.
+  function tileUrl(template, layerOpts, t) {
+    const subs = layerOpts.subdomains || 'abc';
+    const s = subs[Math.abs(t.x + t.y) % subs.length];
+    return L.Util.template(template, { ...layerOpts, r: L.Browser.retina ? '@2x' : '', s, x: t.x, y: t.y, z: t.z });
+  }
+
+  // Fetch + cache URLs not cached yet, a few at a time; reports (done, total, failed)
+  async function precacheUrls(cacheName, urls, onProgress, concurrency = 4) {
+    const cache = await caches.open(cacheName);
+    let next = 0, done = 0, failed = 0;
+    async function worker() {
+      while (next < urls.length) {
+        const url = urls[next++];
+        try {
+          if (!(await cache.match(url))) {
+            const res = await fetch(url, { mode: 'cors' });
+            if (!res.ok) throw new Error('HTTP ' + res.status);
+            await cache.put(url, res);
+          }
+        } catch (_) {
+          failed++;
+        }
+        done++;
+        if (onProgress) onProgress(done, urls.length, failed);
+      }
+    }
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+    return { done, failed };
+  }
+
+  function ensureServiceWorker(swUrl) {
+    PMK._swCache = PMK._swCache || {};
+    if (!PMK._swCache[swUrl]) {
+      PMK._swCache[swUrl] = navigator.serviceWorker.register(swUrl).then(() => navigator.serviceWorker.ready);
+    }
+    return PMK._swCache[swUrl];
+  }
+
+  function formatMB(bytes, t) { const d = bytes < 10485760 ? 1 : 0; return t.num(bytes / 1048576, d, d) + ' MB'; }
+
+  /* ---------- Export: route files and images ---------- */
+  function xmlEscape(v) {
+    return String(v).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+  }
+
+  // GPX 1.1: one <trk> per range, plus waypoints
+  function rangesToGpx(series, ranges, waypoints, name) {
+    const ele = e => (series.hasElevation && isFinite(e) ? '<ele>' + e.toFixed(1) + '</ele>' : '');
+    const opt = (tag, v) => (v ? '<' + tag + '>' + xmlEscape(v) + '</' + tag + '>' : '');
+    const out = ['<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="Pilgrim Map Kit" xmlns="http://www.topografix.com/GPX/1/1">',
+      '<metadata>' + opt('name', name) + '</metadata>'];
+    waypoints.forEach(wp => {
+      out.push('<wpt lat="' + wp.lat + '" lon="' + wp.lon + '">' + ele(wp.ele) + opt('name', wp.name) + opt('desc', wp.desc) +
+        (wp.link ? '<link href="' + xmlEscape(wp.link) + '"/>' : '') + opt('sym', wp.sym) + opt('type', wp.type) + '</wpt>');
+    });
+    ranges.forEach(r => {
+      out.push('<trk>' + opt('name', r.name) + '<trkseg>');
+      for (let i = r.startIdx; i <= r.endIdx; i++) {
+        const p = series.pts[i];
+        out.push('<trkpt lat="' + p.lat + '" lon="' + p.lon + '">' + ele(series.elevM[i]) + '</trkpt>');
+      }
+      out.push('</trkseg></trk>');
+    });
+    out.push('</gpx>');
+    return out.join('\n');
+  }
+
+  // GeoJSON: a LineString feature per range (with its stats) and Point features for waypoints
+  function rangesToGeojson(series, ranges, waypoints) {
+    const coord = (p, e) => (series.hasElevation && isFinite(e) ? [p.lon, p.lat, +e.toFixed(1)] : [p.lon, p.lat]);
+    const features = ranges.map(r => {
+      const coords = [];
+      for (let i = r.startIdx; i <= r.endIdx; i++) coords.push(coord(series.pts[i], series.elevM[i]));
+      const props = { name: r.name, distance_km: +r.distKm.toFixed(3) };
+      if (series.hasElevation) Object.assign(props, { ascent_m: Math.round(r.ascentM), descent_m: Math.round(r.descentM) });
+      return { type: 'Feature', properties: props, geometry: { type: 'LineString', coordinates: coords } };
+    });
+    waypoints.forEach(wp => {
+      const props = {};
+      ['name', 'desc', 'link', 'type', 'sym'].forEach(k => { if (wp[k]) props[k] = wp[k]; });
+      features.push({ type: 'Feature', properties: props, geometry: { type: 'Point', coordinates: coord(wp, wp.ele) } });
+    });
+    return { type: 'FeatureCollection', features };
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = el('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(b => (b ? resolve(b) : reject(new Error('Could not create the image'))), 'image/png');
+    });
+  }
+
+  // Image via a CORS fetch so drawing it never taints the export canvas; null if it can't be had
+  async function fetchImage(url) {
+    try {
+      const res = await fetch(url, { mode: 'cors' });
+      if (!res.ok) return null;
+      return await createImageBitmap(await res.blob());
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function slugify(s) {
+    return String(s || 'route').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'route';
+  }
+
   function defaultTileLayer() {
     return L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
       maxZoom: 19,
+      crossOrigin: true,   // lets image export read the tiles
       attribution: '&copy; OpenStreetMap contributors'
     });
   }
 
+  /* Themes: palette, fonts, logo treatment and tile style in one name, for the `theme` option.
+   *   { extends, scheme, colors, fonts, logo, tiles }
+   *   colors: --pm-color-* values by name ({ primary: '#64b5f6' } sets --pm-color-primary)
+   *   fonts:  { heading, body } font-family stacks
+   *   logo:   { url, filter, opacity } — url replaces the default logoUrl, filter/opacity style the badge image
+   *   tiles:  an L.tileLayer URL template, { url, ...tileLayer options }, or a function returning a layer;
+   *           left out, OpenStreetMap. A `tile` option passed to create() always wins.
+   *   extends names the theme this one builds on; scheme ('light' | 'dark') is the CSS color-scheme.
+   * 'auto' is 'dark' while the device prefers a dark color scheme and 'light' otherwise.
+   */
+  const THEMES = {
+    light: {},
+    dark: {
+      scheme: 'dark',
+      colors: {
+        primary: '#64b5f6', accent: '#90caf9', label: '#cfe3ff', halo: 'rgba(0,0,0,0.85)',
+        card: '#1b2127', border: '#3a424b', errorbg: '#3b1d1d', errorfg: '#fecaca', warnbg: '#3a2f12', warnfg: '#fde68a',
+        bg: '#12171c', text: '#e6e8ea', muted: '#b4bac1', subtle: '#9ca3af',
+        overlay: 'rgba(27,33,39,0.9)', hover: '#252c34',
+        fill: 'rgba(100,181,246,0.16)', 'chart-text': '#b4bac1', 'chart-grid': 'rgba(255,255,255,0.12)'
+      },
+      logo: { filter: 'brightness(0) invert(1)', opacity: 0.85 },
+      tiles: {
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        subdomains: 'abcd',
+        maxZoom: 20,
+        attribution: '&copy; OpenStreetMap contributors &copy; CARTO'
+      }
+    }
+  };
+  const themedMaps = new Set();      // { theme(), restyle() } of every live map
+  const themeProps = new WeakMap();  // root → style properties its current theme set
+  let darkScheme = null;             // MediaQueryList, or false where matchMedia is missing ('auto' is then light)
+
+  // A theme name ('auto' included) → its properties, extends chain applied first
+  function resolveTheme(name) {
+    if (name === 'auto') {
+      if (darkScheme === null) {
+        darkScheme = typeof global.matchMedia === 'function' ? global.matchMedia('(prefers-color-scheme: dark)') : false;
+        const changed = () => themedMaps.forEach(m => { if (m.theme() === 'auto') m.restyle(); });
+        if (darkScheme && darkScheme.addEventListener) darkScheme.addEventListener('change', changed);
+        else if (darkScheme && darkScheme.addListener) darkScheme.addListener(changed);
+      }
+      name = darkScheme && darkScheme.matches ? 'dark' : 'light';
+    }
+    const chain = [];
+    for (let n = name; THEMES[n] && !chain.includes(THEMES[n]); n = THEMES[n].extends) chain.unshift(THEMES[n]);
+    const theme = { name: THEMES[name] ? name : 'light', props: {}, logo: {}, tiles: null };
+    chain.forEach(def => {
+      Object.entries(def.colors || {}).forEach(([k, v]) => { theme.props['--pm-color-' + k.replace(/^--pm-color-/, '')] = String(v); });
+      const fonts = def.fonts || {};
+      if (fonts.heading) theme.props['--pm-font-heading'] = fonts.heading;
+      if (fonts.body) theme.props['--pm-font-body'] = fonts.body;
+      theme.logo = { ...theme.logo, ...(def.logo || {}) };
+      if (theme.logo.filter) theme.props['--pm-logo-filter'] = theme.logo.filter;
+      if (theme.logo.opacity != null) theme.props['--pm-logo-opacity'] = String(theme.logo.opacity);
+      if (def.scheme) theme.props['color-scheme'] = def.scheme;
+      if (def.tiles) theme.tiles = def.tiles;
+    });
+    return theme;
+  }
+
+  // Put a resolved theme's properties (and a pm-theme-<name> class) on the widget root; null takes them off
+  function applyTheme(root, theme) {
+    (themeProps.get(root) || []).forEach(k => root.style.removeProperty(k));
+    Array.from(root.classList).forEach(c => { if (c.startsWith('pm-theme-')) root.classList.remove(c); });
+    themeProps.delete(root);
+    if (!theme) return;
+    Object.entries(theme.props).forEach(([k, v]) => root.style.setProperty(k, v));
+    themeProps.set(root, Object.keys(theme.props));
+    root.classList.add('pm-theme-' + theme.name);
+  }
+
+  function themeTileLayer(tiles) {
+    if (!tiles) return defaultTileLayer();
+    if (typeof tiles === 'function') return tiles();
+    const { url, ...layerOpts } = typeof tiles === 'string' ? { url: tiles } : tiles;
+    return L.tileLayer(url, { maxZoom: 19, crossOrigin: true, ...layerOpts });
+  }
+
   // Cursor line plugin for Chart.js
   const cursorLinePlugin = {
     id: 'pmkCursorLine',
@@ -144,42 +1440,72 @@
   async function createPilgrimMap(opts) {
     const {
       wrapper,                 // selector or Element
-      gpxUrl,                  // optional
-      geojsonUrl,              // optional
-      geojson,                 // optional (object)
+      source,                  // { type: 'gpx'|'kml'|'tcx'|'geojson'|'fit', url | text | object }
+      gpxUrl,                  // legacy: same as source { type: 'gpx', url }
+      geojsonUrl,              // legacy: same as source { type: 'geojson', url }
+      geojson,                 // legacy: same as source { type: 'geojson', object }
       cities = [],             // [{name, lat, lon, popup?}]
       units = 'imperial',      // 'imperial' | 'metric'
-      showElevation = true,    // only meaningful for GPX
-      tile = defaultTileLayer, // function returning an L.TileLayer
+      showElevation = true,    // shown when the route has heights (or an elevationProvider supplies them)
+      elevationProvider,       // optional: (points [{lat, lon}]) => Promise<number[]> (m) for 2D routes
+      gradeColors = false,     // true (default bands) or [{max, color, label}] — color profile + route by grade
+      estimateTime = false,    // true or { model: 'naismith'|'tobler', pace: preset name or {flatKmh, climbMh, toblerFactor} }
+      xAxis = 'distance',      // 'distance' | 'time' (needs estimateTime)
+      poi = true,              // waypoint POI layers; false, or { categories: { key: {label, match, icon|iconUrl, color} }, chart: bool }
+      offline = null,          // { swUrl, tileUrl, subdomains?, minZoom=12, maxZoom=15, bufferKm=1, maxTiles=3000 } — adds
+                               // "Save offline". tileUrl: the shown tiles' URL template, from a server whose terms allow
+                               // saving tiles (OpenStreetMap's don't); without it nothing is pre-cached
+      locate = false,          // true or { offRouteM=250, follow=true, geolocation?, watch? } — "you are here" button
+      exportMenu = true,       // "Download" menu: profile / map images, route or stage as GPX / GeoJSON
+      permalink = false,       // true (key = wrapper id or "map") or a key: keep view state in the URL hash
+      variants = [],           // [{ name, source, color?, visible? }] alternatives: map lines, legend toggles, profile overlays
+      variantAlign = 'junction', // overlay alignment: 'junction' (where each variant leaves the route), 'start' or { lat, lon }
+      routeName,               // legend label for the main route when there are variants; default "Main route"
+      locale = 'en',           // 'es', 'pt-BR', …: UI words (see PilgrimMapKit.messages) and number formatting
+      onError,                 // (err) => void for every error and warning; err.code, err.fatal (see pmkError)
+      theme = 'light',         // 'light' | 'dark' | 'auto' (follows prefers-color-scheme) | a registerTheme() name
+      tile = defaultTileLayer, // function returning an L.TileLayer (overrides the theme's tiles)
       line = { color: undefined, weight: 4, opacity: 1 },
       logoUrl = 'https://aarondsmith.github.io/pilgrims-path-assets/logo.png',
       logoLink = '/',          // click-through URL (opens new tab)
       brandText = 'Pilgrim’s Path'
     } = opts || {};
+    const t = translator(locale);
 
-    if (!wrapper) throw new Error('wrapper is required');
+    if (!wrapper) throw pmkError('WRAPPER_NOT_FOUND', 'wrapper is required');
     const root = (typeof wrapper === 'string') ? document.querySelector(wrapper) : wrapper;
-    if (!root) throw new Error('wrapper element not found');
+    if (!root) throw pmkError('WRAPPER_NOT_FOUND', 'wrapper element not found: ' + wrapper);
 
     // Build DOM skeleton if empty
+    const hadRootClass = root.classList.contains('pilgrim-map');
     root.classList.add('pilgrim-map');
+    let currentTheme = (theme === 'auto' || THEMES[theme]) ? theme : 'light';
+    let themed = resolveTheme(currentTheme);
+    applyTheme(root, themed);
+    const ownLogo = !!opts && 'logoUrl' in opts;
+    const brandLogo = () => (!ownLogo && themed.logo.url) || logoUrl;
     let container = root.querySelector('.pm-container');
+    const builtContainer = !container;
     if (!container) {
       container = el('div', 'pm-container', root);
       const brand = el('a', 'pm-brand', container);
       brand.href = logoLink || '/';
       brand.target = '_blank';
       const img = el('img', '', brand);
-      img.src = logoUrl;
-      img.alt = 'Logo';
+      img.src = brandLogo();
+      img.alt = t('logo');
       const span = el('span', '', brand);
       span.textContent = brandText;
 
       const mapDiv = el('div', 'pm-map', container);
       mapDiv.id = 'pm-map-' + Math.random().toString(36).slice(2, 9);
 
+      el('ol', 'pm-stages', container);
+
       const card = el('div', 'pm-elev-card', container);
-      const canvas = el('canvas', 'pm-elev-canvas', card);
+      el('div', 'pm-elev-summary', card);
+      const plot = el('div', 'pm-elev-plot', card);
+      const canvas = el('canvas', 'pm-elev-canvas', plot);
       canvas.id = mapDiv.id + '-elev';
 
       el('div', 'pm-error', container);
@@ -188,31 +1514,217 @@
     const mapDiv = container.querySelector('.pm-map');
     const canvas = container.querySelector('.pm-elev-canvas');
     const errBox = container.querySelector('.pm-error');
-    const showError = (msg) => {
+    let stageList = container.querySelector('.pm-stages');
+    if (!stageList) {
+      stageList = el('ol', 'pm-stages');
+      mapDiv.insertAdjacentElement('afterend', stageList);
+    }
+    const routeLegend = el('ul', 'pm-routes');
+    stageList.insertAdjacentElement('beforebegin', routeLegend);
+    // Older page skeletons have the canvas directly in the card; give it its own sized box
+    // so the summary strip doesn't feed into Chart.js' responsive height.
+    const card = canvas.closest('.pm-elev-card');
+    if (!canvas.parentElement.classList.contains('pm-elev-plot')) {
+      const plot = el('div', 'pm-elev-plot');
+      canvas.parentElement.insertBefore(plot, canvas);
+      plot.appendChild(canvas);
+    }
+    let summary = card.querySelector('.pm-elev-summary');
+    if (!summary) {
+      summary = el('div', 'pm-elev-summary');
+      card.insertBefore(summary, card.firstChild);
+    }
+    // One line per problem; the box is styled as a warning while it only holds warnings
+    const showError = (msg, warning = false) => {
       if (!errBox) return;
-      errBox.textContent = 'Map/Elevation error: ' + msg;
+      const first = !errBox.textContent;
+      el('div', '', errBox).textContent = t(warning ? 'note' : 'error') + msg;
+      errBox.classList.toggle('is-warning', warning && (first || errBox.classList.contains('is-warning')));
       errBox.style.display = 'block';
     };
+    const hideError = () => {
+      if (!errBox) return;
+      errBox.textContent = '';
+      errBox.classList.remove('is-warning');
+      errBox.style.display = '';
+    };
 
-    // Decide which libs are needed
-    const needsChart = !!gpxUrl && showElevation;
-    const needsGPX = !!gpxUrl;
-    await ensureLibs({ wantsChart: needsChart, wantsGPX: needsGPX });
+    // Controller events: loaded, error, cursor, stageselect. The current route's "loaded" and "error"
+    // events are replayed to listeners attached after they fired (create() resolves once the first
+    // route is shown, so .on() can't be called any earlier).
+    const handlers = {};
+    const replay = { loaded: [], error: [] };
+    function on(type, fn) {
+      (handlers[type] = handlers[type] || []).push(fn);
+      (replay[type] || []).forEach(detail => {
+        try { fn(detail); } catch (err) { console.error(err); }
+      });
+      return controller;
+    }
+    function off(type, fn) {
+      if (handlers[type]) handlers[type] = fn ? handlers[type].filter(h => h !== fn) : [];
+      return controller;
+    }
+    function emit(type, detail) {
+      if (replay[type]) replay[type].push(detail);
+      (handlers[type] || []).slice().forEach(fn => {
+        try { fn(detail); } catch (err) { console.error(err); }
+      });
+    }
+
+    // Every problem goes to the console, the error box, onError and the "error" event
+    function report(err, code = 'UNKNOWN') {
+      if (!err.code) Object.assign(err, { code, fatal: true });
+      const fatal = err.fatal !== false;
+      if (fatal) console.error(err); else console.warn(err.message);
+      showError(err.message || t('unknownError'), !fatal);
+      if (typeof onError === 'function') {
+        try { onError(err); } catch (e) { console.error(e); }
+      }
+      emit('error', { error: err, message: err.message || 'Unknown error', code: err.code, fatal });
+    }
 
-    if (!global.L) throw new Error('Leaflet failed to load');
-    if (gpxUrl && !global.L.GPX) throw new Error('leaflet-gpx failed to load');
-    if (needsChart && !global.Chart) throw new Error('Chart.js failed to load');
+    // Legacy gpxUrl / geojson / geojsonUrl options map onto `source`
+    const initialSource = source
+      || (gpxUrl && { type: 'gpx', url: gpxUrl })
+      || (geojson && { type: 'geojson', object: geojson })
+      || (geojsonUrl && { type: 'geojson', url: geojsonUrl });
+
+    // Decide which libs are needed. GeoJSON and KML usually come without heights, so their
+    // chart (if any) is loaded once the route turns out to have elevation.
+    const sourceType = initialSource ? inferSourceType(initialSource) : '';
+    const needsChart = showElevation && !!initialSource && sourceType !== 'geojson' && sourceType !== 'kml';
+    try {
+      await ensureLibs({ wantsChart: needsChart });
+      if (!L) throw new Error('Leaflet failed to load');
+      if (needsChart && !Chart) throw new Error('Chart.js failed to load');
+    } catch (err) {
+      const failed = pmkError('LIBS_FAILED', err.message + '. Check the network or the URLs passed to PilgrimMapKit.configure');
+      report(failed);
+      throw failed;
+    }
 
     const map = L.map(mapDiv);
-    const tl = (typeof tile === 'function') ? tile() : defaultTileLayer();
+    const ownTiles = typeof tile === 'function' && tile !== defaultTileLayer;
+    let tileSpec = themed.tiles;
+    let tl = ownTiles ? tile() : themeTileLayer(tileSpec);
     tl.addTo(map);
 
-    // Route line style
-    const color = line.color || getComputedStyle(root).getPropertyValue('--pm-color-primary').trim() || '#1976d2';
+    // Route line style (colors are re-read when the theme changes)
+    const token = (name, fallback) => getComputedStyle(root).getPropertyValue(name).trim() || fallback;
+    let color = line.color || token('--pm-color-primary', '#1976d2');
     const lineOpts = { color, weight: line.weight ?? 4, opacity: line.opacity ?? 1 };
+    let accent = token('--pm-color-accent', '#003366');
+    const bands = gradeColors === true ? GRADE_BANDS : (Array.isArray(gradeColors) ? gradeColors : null);
+    const timeOpts = estimateTime ? {
+      model: estimateTime.model === 'tobler' ? 'tobler' : 'naismith',
+      pace: (typeof estimateTime.pace === 'object')
+        ? { ...PACE_PRESETS.hiker, ...estimateTime.pace }
+        : (PACE_PRESETS[estimateTime.pace] || PACE_PRESETS.hiker)
+    } : null;
 
     let cursorMarker = null;
     let chart = null;
+    let currentUnits = UNITS[units] ? units : 'imperial';
+    let currentXAxis = (xAxis === 'time' && timeOpts) ? 'time' : 'distance';
+    // Options that are wrong but survivable; reported with the first route
+    const optionWarnings = [];
+    const badOption = msg => optionWarnings.push(pmkError('OPTION_INVALID', msg, false));
+    if (!UNITS[units]) badOption('units must be "imperial" or "metric" (got "' + units + '"); showing imperial');
+    if (xAxis !== 'distance' && xAxis !== 'time') badOption('xAxis must be "distance" or "time" (got "' + xAxis + '")');
+    if (xAxis === 'time' && !timeOpts) badOption('xAxis "time" needs estimateTime; showing distance');
+    if (theme !== currentTheme) badOption('theme must be "light", "dark", "auto" or a registered theme (got "' + theme + '"); showing light');
+    try { Intl.getCanonicalLocales(locale || 'en'); } catch (_) {
+      badOption('locale must be a language tag such as "es" or "pt-BR" (got "' + locale + '"); showing English');
+    }
+    if (!Array.isArray(cities)) badOption('cities must be an array of { name, lat, lon }');
+    else {
+      cities.forEach((c, i) => {
+        if (!c || !validLatLon(c)) badOption('cities[' + i + ']' + (c && c.name ? ' (' + c.name + ')' : '') + ' needs numeric lat and lon; skipped');
+      });
+    }
+    let redrawChart = null;  // set once the elevation chart exists
+    let cursorTo = null;     // (idx) => show a route point on map + chart; set with the chart
+    let viewRangeKm = null;  // [fromKm, toKm] chart window set by setXRange (else stage / whole route)
+    let pinnedIdx = -1;      // cursor point kept in the permalink (clicked on the chart or tapped on the map)
+    const hashKey = permalink ? String(permalink === true ? (root.id || 'map') : permalink).replace(/[^\w-]/g, '') : '';
+    let pendingHash = hashKey ? readHashState(hashKey) : null;   // applied once the route is shown
+    let restoring = false;
+    let series = null;       // route series (km/m)
+    let stages = [];
+    let selectedStage = -1;
+    let stageLayer = null;
+    let gradeLayer = null;
+    let routeLayer = null;
+    let featureLayer = null;           // GeoJSON points/polygons shown with the route
+    let currentSource = null;
+    let routeVariants = [];            // [{ name, color, visible, series, layer, anchor }]
+    let mainVisible = true;            // main route toggled on in the variants legend
+    let citiesAdded = false;
+    let loadSeq = 0;                   // bumped per load/destroy so a superseded load stops quietly
+    let destroyed = false;
+    const routeCleanups = [];          // undo functions for listeners/layers tied to the current route
+    const offlineOpts = offline ? {
+      minZoom: 12, maxZoom: 15, bufferKm: 1, maxTiles: 3000, ...(offline === true ? {} : offline)
+    } : null;
+    let offlineUi = null;
+    const locateOpts = {
+      offRouteM: 250,
+      follow: true,
+      watch: { enableHighAccuracy: true, maximumAge: 10000, timeout: 30000 },
+      ...(locate && locate !== true ? locate : {})
+    };
+    let locateUi = null;
+    let exportUi = null;
+    let locateControl = null;
+    let geo = null;                    // the geolocation object being watched
+    let watchId = null;
+    let lastFix = null;                // { lat, lon, accuracy } from the last geolocation update
+    let lastPosition = null;           // the 'position' event detail for lastFix
+    let youIdx = -1;                   // route point the user is snapped to (-1 = none / off route)
+    let youMarker = null;
+    let accuracyCircle = null;
+    let pois = [];                     // [{ key, wp, index }] — index is the nearest route point (-1 if off-route)
+    const hiddenPoi = new Set();
+    let poiControl = null;
+    const poiOpts = poi && (poi === true ? {} : poi);
+    const poiCategories = poiOpts
+      ? Object.fromEntries(Object.entries(POI_CATEGORIES).map(([k, cat]) => [k, { ...cat, label: t('poi.' + k) }]))
+      : null;
+    if (poiOpts && poiOpts.categories) {
+      Object.entries(poiOpts.categories).forEach(([k, v]) => {
+        const cat = { label: k, color: accent, ...poiCategories[k], ...v };
+        if (!(cat.match instanceof RegExp)) cat.match = new RegExp(cat.match || k, 'i');
+        poiCategories[k] = cat;
+      });
+    }
+    let routePts = [];
+    let routeIdx = null;               // spatial index over series.pts
+    const simplifiedLines = [];        // [{ poly, startIdx, endIdx }] re-simplified on zoom
+    const simplifyCache = new Map();   // 'start-end@zoom' -> latlngs
+
+    // Route geometry for display at the current zoom; statistics always use the full-resolution points
+    function displayLatLngs(startIdx, endIdx) {
+      const zoom = Math.round(map.getZoom() || 0);
+      const key = startIdx + '-' + endIdx + '@' + zoom;
+      if (!simplifyCache.has(key)) {
+        const tolM = DISPLAY_TOLERANCE_PX * metresPerPixel(zoom, routePts[startIdx].lat);
+        simplifyCache.set(key, simplifyIndices(routePts, startIdx, endIdx, tolM).map(i => [routePts[i].lat, routePts[i].lon]));
+      }
+      return simplifyCache.get(key);
+    }
+    function simplifiedLine(startIdx, endIdx, style) {
+      const poly = L.polyline(displayLatLngs(startIdx, endIdx), style);
+      simplifiedLines.push({ poly, startIdx, endIdx });
+      return poly;
+    }
+    function dropSimplifiedLine(poly) {
+      const i = simplifiedLines.findIndex(l => l.poly === poly);
+      if (i > -1) simplifiedLines.splice(i, 1);
+    }
+    map.on('zoomend', () => {
+      simplifiedLines.forEach(l => l.poly.setLatLngs(displayLatLngs(l.startIdx, l.endIdx)));
+    });
 
     // Helper to add cursor marker
     function ensureCursorMarker(latlng) {
@@ -228,148 +1740,1292 @@
       return cursorMarker;
     }
 
-    try {
-      if (gpxUrl) {
-        // Draw GPX
-        const gpxLayer = new L.GPX(gpxUrl, {
-          async: true,
-          polyline_options: lineOpts,
-          marker_options: { startIconUrl: null, endIconUrl: null, shadowUrl: null }
-        })
-        .on('loaded', e => map.fitBounds(e.target.getBounds()))
-        .on('error', () => showError('Could not load GPX on the map.'))
-        .addTo(map);
-
-        // Cities after GPX loads (so bounds exist)
-        gpxLayer.on('loaded', () => addCityMarkers(map, cities));
-
-        // Elevation (parse GPX directly)
-        if (showElevation) {
-          const res = await fetch(gpxUrl, { cache: 'no-store' });
-          if (!res.ok) throw new Error('Failed to fetch GPX (' + res.status + ')');
-          const gpxText = await res.text();
-          const { pts, distMi, elevFt, totalMi, stageScatter } = parseGPXToSeries(gpxText);
-
-          const ctx = canvas.getContext('2d');
-          const cursorLine = cursorLinePlugin;
-          const data = distMi.map((x, i) => ({ x, y: elevFt[i] }));
-
-          chart = new Chart(ctx, {
-            type: 'line',
-            data: {
-              datasets: [
-                { label: 'Elevation',
-                  data,
-                  borderColor: color,
-                  backgroundColor: 'rgba(25,118,210,0.10)',
-                  borderWidth: 2,
-                  pointRadius: 0,
-                  tension: 0.2,
-                  fill: true },
-                { type: 'scatter',
-                  data: stageScatter,
-                  parsing: false,
-                  showLine: false,
-                  pointStyle: 'circle',
-                  pointBackgroundColor: getComputedStyle(root).getPropertyValue('--pm-color-accent').trim() || '#003366',
-                  pointBorderColor: getComputedStyle(root).getPropertyValue('--pm-color-accent').trim() || '#003366',
-                  pointBorderWidth: 1,
-                  pointRadius: 3,
-                  pointHoverRadius: 5 }
-              ]
-            },
-            options: {
-              responsive: true,
-              maintainAspectRatio: false,
-              interaction: { mode: 'nearest', intersect: false, axis: 'x' },
-              plugins: { legend: { display: false } },
-              parsing: false,
-              scales: {
-                x: { type: 'linear', min: 0, max: totalMi,
-                     ticks: { callback: v => Math.round(v) + ' mi' },
-                     title: { display: true, text: 'Distance (mi)' } },
-                y: { title: { display: true, text: 'Elevation (ft)' },
-                     ticks: { callback: v => Math.round(v) + ' ft' } }
+    // Returned handle. Events (controller.on(type, fn)):
+    //   loaded { source, stages, totals, hasElevation } (totals null for GeoJSON without lines) · error { error, message }
+    //   cursor { index, lat, lon, distanceKm, elevationM } or null when the pointer leaves the chart
+    //   stageselect { index, stage } (index -1 / stage null = whole route)
+    //   position { lat, lon, accuracy, onRoute, offRouteKm, index, stageIndex, doneKm, remainingKm,
+    //              stageRemainingKm, stageRemainingAscentM, remainingAscentM }
+    const controller = {
+      map,
+      get chart() { return chart; },
+      setRoute, destroy, on, off,
+      setUnits, selectStage, getStages, setXAxis, saveOffline,
+      startTracking, stopTracking, exportImage, exportRoute, setXRange,
+      getVariants, setVariantVisible, setRouteVisible, setTheme
+    };
+    if (locate) locateControl = addLocateControl();
+    if (exportMenu) exportUi = addExportMenu();
+    const themeHook = { theme: () => currentTheme, restyle };   // registerTheme and "auto" restyle live maps
+    themedMaps.add(themeHook);
+    const onHashChange = () => {
+      pendingHash = readHashState(hashKey);
+      if (series) applyHashState();
+    };
+    if (hashKey) {
+      map.on('moveend', saveHashState);
+      global.addEventListener('hashchange', onHashChange);
+    }
+
+    await loadRoute(initialSource, variants);
+
+    // Heights for 2D routes from the elevationProvider hook
+    async function addProviderHeights(track) {
+      if (!showElevation || track.has3D || typeof elevationProvider !== 'function') return;
+      let eles;
+      try {
+        eles = await elevationProvider(track.pts.map(p => ({ lat: p.lat, lon: p.lon })));
+      } catch (err) {
+        throw pmkError('ELEVATION_PROVIDER', 'elevationProvider failed: ' + (err.message || err));
+      }
+      if (!Array.isArray(eles) || eles.length !== track.pts.length) {
+        throw pmkError('ELEVATION_PROVIDER', 'elevationProvider must resolve to one elevation per point (' + track.pts.length +
+          ' expected, got ' + (Array.isArray(eles) ? eles.length : typeof eles) + ')');
+      }
+      track.pts.forEach((p, i) => { p.ele = parseFloat(eles[i]); });
+      track.missingEle = track.pts.filter(p => !isFinite(p.ele)).length;
+      track.has3D = track.missingEle < track.pts.length;
+    }
+
+    // Warnings about a loaded track: skipped points, and missing heights when a profile was wanted
+    function trackWarnings(track, name = '') {
+      const out = track.warnings.slice();
+      const n = track.pts.length;
+      if (showElevation && !track.has3D) {
+        out.push(pmkError('NO_ELEVATION', track.label + ' has no elevation data, so there is no profile. Add <ele> heights to ' +
+          'the file, pass an elevationProvider, or set showElevation: false', false));
+      } else if (showElevation && track.missingEle) {
+        out.push(pmkError('PARTIAL_ELEVATION', track.missingEle + ' of ' + n + ' points have no elevation; ' +
+          'the profile interpolates across them', false));
+      }
+      if (name) out.forEach(w => { w.message = name + ': ' + w.message; });
+      return out;
+    }
+
+    // Fetch + normalize a route source, draw it, then build stages and the profile from the same track
+    async function loadRoute(src, variantDefs = []) {
+      const seq = ++loadSeq;
+      const stale = () => seq !== loadSeq;
+      clearRoute();
+      replay.loaded = [];
+      replay.error = [];
+      optionWarnings.splice(0).forEach(w => report(w));
+      try {
+        if (!src) throw pmkError('SOURCE_MISSING', 'A route is required (source, gpxUrl or geojson/geojsonUrl)');
+        currentSource = src;
+        const track = await loadTrack(src);
+        if (stale()) return;
+
+        // Set the view first so the simplification tolerance matches the zoom the route is shown at
+        routePts = track.pts;
+        const bounds = L.latLngBounds(routePts.map(p => [p.lat, p.lon]));
+        if (track.features?.length) {
+          // Points already shown as POI markers aren't drawn twice
+          const shown = track.features.filter(f => !(poiCategories && routePts.length && f.geometry.type === 'Point'));
+          if (shown.length) featureLayer = featureOverlay(shown, lineOpts, t).addTo(map);
+          if (featureLayer) bounds.extend(featureLayer.getBounds());
+        }
+        map.fitBounds(bounds);
+        if (!citiesAdded) {
+          addCityMarkers(map, cities);
+          citiesAdded = true;
+        }
+        if (!routePts.length) {
+          // A GeoJSON file without lines: its features are shown, but there is no track to profile
+          card.style.display = 'none';
+          emit('loaded', { source: src, stages: [], totals: null, hasElevation: false, variants: [] });
+          return;
+        }
+        routeLayer = L.featureGroup(track.ranges.map(r => simplifiedLine(r.startIdx, r.endIdx, lineOpts))).addTo(map);
+
+        await addProviderHeights(track);
+        if (stale()) return;
+        trackWarnings(track).forEach(w => report(w));
+        await showSeries(buildSeries(track, t), stale);
+        if (stale()) return;
+        if (variantDefs.length) await loadVariants(variantDefs, stale);
+        if (stale()) return;
+        if (offline) {
+          setupOffline().catch(err => report(pmkError('OFFLINE_UNAVAILABLE', 'Offline mode is unavailable: ' + (err.message || err), false)));
+        }
+        if (lastFix) showFix();
+        updateExportMenu();
+        if (pendingHash) applyHashState();
+        emit('loaded', {
+          source: src, stages: getStages(), totals: { ...series.totals }, hasElevation: series.hasElevation, variants: getVariants()
+        });
+      } catch (err) {
+        if (stale()) return;
+        report(err);
+      }
+    }
+
+    // Alternatives: each drawn in its own color, listed with a toggle, and overlaid on the profile.
+    // A variant that fails to load is reported and skipped; the main route stays.
+    async function loadVariants(defs, stale) {
+      const loaded = await Promise.all(defs.map(async (def, i) => {
+        const name = def.name || t('variant', { n: i + 1 });
+        try {
+          const track = await loadTrack(def.source);
+          await addProviderHeights(track);
+          if (!stale()) trackWarnings(track, name).forEach(w => report(w));
+          const vs = buildSeries(track, t);
+          if (timeOpts) addTimes(vs);
+          return { name, color: def.color || VARIANT_COLORS[i % VARIANT_COLORS.length], visible: def.visible !== false, series: vs };
+        } catch (err) {
+          if (!stale()) report(pmkError('VARIANT_FAILED', 'Variant "' + name + '" was skipped: ' + (err.message || 'Unknown error'), false));
+          return null;
+        }
+      }));
+      if (stale()) return;
+      routeVariants = loaded.filter(Boolean);
+      const bounds = L.latLngBounds(series.pts.map(p => [p.lat, p.lon]));
+      routeVariants.forEach(v => {
+        const pts = v.series.pts;
+        const idx = simplifyIndices(pts, 0, pts.length - 1, VARIANT_TOLERANCE_M);
+        v.layer = L.polyline(idx.map(i => [pts[i].lat, pts[i].lon]), { ...lineOpts, color: v.color });
+        if (v.visible) v.layer.addTo(map);
+        v.anchor = variantAnchor(v.series);
+        bounds.extend(v.layer.getBounds());
+      });
+      map.fitBounds(bounds);
+      renderRouteLegend();
+      if (redrawChart) redrawChart();
+    }
+
+    // Which point of the variant (own) lines up with which point of the main route (main) on the profile
+    function variantAnchor(vs) {
+      if (variantAlign === 'start') return { main: 0, own: 0 };
+      if (variantAlign && isFinite(variantAlign.lat) && isFinite(variantAlign.lon)) {
+        return {
+          main: routeIdx.nearest(variantAlign.lat, variantAlign.lon, Infinity).index,
+          own: routeIndex(vs.pts).nearest(variantAlign.lat, variantAlign.lon, Infinity).index
+        };
+      }
+      return { main: routeIdx.nearest(vs.pts[0].lat, vs.pts[0].lon, Infinity).index, own: 0 };
+    }
+
+    function renderRouteLegend() {
+      routeLegend.innerHTML = '';
+      if (!series || !routeVariants.length) return;
+      const row = (name, swatch, stats, hasElevation, visible, onToggle) => {
+        const label = el('label', 'pm-route', el('li', '', routeLegend));
+        const box = el('input', '', label);
+        box.type = 'checkbox';
+        box.checked = visible;
+        box.disabled = !onToggle;
+        el('i', 'pm-route-swatch', label).style.background = swatch;
+        el('span', 'pm-route-name', label).textContent = name;
+        el('span', 'pm-route-stats', label).textContent = formatStage(stats, currentUnits, hasElevation, t);
+        if (onToggle) box.addEventListener('change', () => onToggle(box.checked));
+      };
+      row(routeName || t('mainRoute'), lineOpts.color, series.totals, series.hasElevation, mainVisible, on => setRouteVisible(on));
+      routeVariants.forEach((v, i) => {
+        row(v.name, v.color, v.series.totals, v.series.hasElevation, v.visible, on => setVariantVisible(i, on));
+      });
+      lockLastRoute();
+    }
+
+    // One route always stays on: the last visible one's checkbox is disabled
+    function lockLastRoute() {
+      const boxes = routeLegend.querySelectorAll('input');
+      const shown = [mainVisible, ...routeVariants.map(v => v.visible)];
+      const last = shown.filter(Boolean).length <= 1;
+      boxes.forEach((box, i) => {
+        box.checked = shown[i];
+        box.disabled = last && shown[i];
+      });
+    }
+
+    function getVariants() {
+      return routeVariants.map(v => ({ name: v.name, color: v.color, visible: v.visible, totals: { ...v.series.totals } }));
+    }
+
+    // Show or hide variant i (index into getVariants()) on the map and the profile
+    function setVariantVisible(i, visible) {
+      const v = routeVariants[i];
+      if (!v || (!visible && v.visible && !mainVisible && routeVariants.filter(o => o.visible).length <= 1)) return;
+      v.visible = !!visible;
+      if (v.visible) v.layer.addTo(map); else map.removeLayer(v.layer);
+      lockLastRoute();
+      if (redrawChart) redrawChart();
+    }
+
+    // Show or hide the main route (line, grade colors, stage highlight and profile) when there are
+    // variants; the last route shown can't be hidden
+    function setRouteVisible(visible) {
+      visible = !!visible;
+      if (!series || visible === mainVisible || (!visible && !routeVariants.some(v => v.visible))) return;
+      mainVisible = visible;
+      [routeLayer, gradeLayer, stageLayer].forEach(layer => {
+        if (!layer) return;
+        if (visible) layer.addTo(map); else map.removeLayer(layer);
+      });
+      lockLastRoute();
+      if (redrawChart) redrawChart();
+    }
+
+    // Remove everything drawn for the current route; the map, tiles and city markers stay
+    function clearRoute() {
+      routeCleanups.splice(0).forEach(fn => fn());
+      routeVariants.forEach(v => { if (v.layer) map.removeLayer(v.layer); });
+      routeVariants = [];
+      mainVisible = true;
+      routeLegend.innerHTML = '';
+      if (chart) { chart.destroy(); chart = null; }
+      redrawChart = null;
+      cursorTo = null;
+      viewRangeKm = null;
+      pinnedIdx = -1;
+      [routeLayer, stageLayer, gradeLayer, featureLayer].forEach(layer => { if (layer) map.removeLayer(layer); });
+      routeLayer = stageLayer = gradeLayer = featureLayer = null;
+      simplifiedLines.length = 0;
+      simplifyCache.clear();
+      if (cursorMarker) cursorMarker.setStyle({ opacity: 0, fillOpacity: 0 });
+      series = null;
+      routeIdx = null;
+      youIdx = -1;
+      stages = [];
+      selectedStage = -1;
+      pois = [];
+      hiddenPoi.clear();
+      stageList.innerHTML = '';
+      summary.innerHTML = '';
+      const legend = card.querySelector('.pm-grade-legend');
+      if (legend) legend.remove();
+      card.style.display = '';
+      hideError();
+      updateExportMenu();
+    }
+
+    // Swap in another route (and its variants) without rebuilding the map; resolves once it is shown (or failed)
+    async function setRoute(src, { variants: variantDefs = [] } = {}) {
+      if (destroyed) throw pmkError('DESTROYED', 'This map has been destroyed');
+      await loadRoute(src, variantDefs);
+      return controller;
+    }
+
+    // Tear down the map, chart, listeners and the DOM this instance created
+    function destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      loadSeq++;
+      stopTracking();
+      clearRoute();
+      if (hashKey) global.removeEventListener('hashchange', onHashChange);
+      map.remove();
+      if (offlineUi) offlineUi.remove();
+      if (locateUi) locateUi.remove();
+      if (exportUi) exportUi.remove();
+      if (builtContainer) container.remove();
+      if (!hadRootClass) root.classList.remove('pilgrim-map');
+      themedMaps.delete(themeHook);
+      applyTheme(root, null);
+      Object.keys(handlers).forEach(k => delete handlers[k]);
+    }
+
+    // Stages, summary and (optionally) the elevation chart for a parsed route
+    async function showSeries(parsed, stale) {
+      series = parsed;
+      routeIdx = routeIndex(series.pts);
+      if (timeOpts) addTimes(series);
+      stages = series.stages;
+      renderStageList();
+      renderSummary();
+      if (bands && series.hasElevation) {
+        gradeLayer = gradePolylines(series, bands, lineOpts, simplifiedLine).addTo(map);
+        renderGradeLegend();
+      }
+      if (poiCategories && series.waypoints.length) setupPois(series.waypoints);
+
+      if (showElevation && series.hasElevation) {
+        if (!Chart) await ensureLibs({ wantsChart: true });
+        if (stale()) return;
+        if (!Chart) throw new Error('Chart.js failed to load');
+        const pts = series.pts;
+        let { dist, elev, xs, stageScatter } = seriesInUnits(series, currentUnits, currentXAxis);
+
+        // Variant profiles on the main route's axis, shifted so their anchor points line up
+        function variantXs(v) {
+          const vx = seriesInUnits(v.series, currentUnits, currentXAxis).xs;
+          const off = xs[v.anchor.main] - vx[v.anchor.own];
+          return vx.map(x => x + off);
+        }
+        const variantShown = v => v.visible && v.series.hasElevation && !(currentXAxis === 'time' && !v.series.timeH);
+        function variantDatasets() {
+          const u = unitsFor(currentUnits);
+          return routeVariants.map(v => {
+            const vx = variantXs(v);
+            return {
+              label: v.name,
+              data: vx.map((x, i) => ({ x, y: v.series.elevM[i] * u.perM })),
+              hidden: !variantShown(v),
+              borderColor: v.color,
+              backgroundColor: v.color,
+              borderWidth: 2,
+              pointRadius: 0,
+              tension: 0.2,
+              fill: false
+            };
+          });
+        }
+
+        // The user's snapped position, when tracking and on the route
+        function youScatter() {
+          return youIdx > -1 ? [{ x: xs[youIdx], y: elev[youIdx] }] : [];
+        }
+
+        // x-axis range: the selected stage, or every route shown (variants may run past either end)
+        function xRange() {
+          if (viewRangeKm) return viewRangeKm.map(km => xs[nearestIndex(series.distKm, km)]);
+          const stage = stages[selectedStage];
+          if (stage) return [xs[stage.startIdx], xs[stage.endIdx]];
+          const ends = mainVisible ? [0, xs[xs.length - 1]] : [];
+          routeVariants.filter(variantShown).forEach(v => {
+            const vx = variantXs(v);
+            ends.push(vx[0], vx[vx.length - 1]);
+          });
+          return ends.length ? [Math.min(...ends), Math.max(...ends)] : [0, xs[xs.length - 1]];
+        }
+
+        // Walking time to a point, from the start of the selected stage (or the route)
+        function timeTo(i) {
+          const stage = stages[selectedStage];
+          return series.timeH[i] - (stage ? series.timeH[stage.startIdx] : 0);
+        }
+
+        // Axes in the theme's chart colors (Chart.js defaults when the theme has none)
+        function chartScales() {
+          const scales = elevationScales(currentUnits, ...xRange(), currentXAxis, t);
+          const ink = token('--pm-color-chart-text', ''), grid = token('--pm-color-chart-grid', '');
+          Object.values(scales).forEach(scale => {
+            if (ink) { scale.ticks.color = ink; scale.title.color = ink; }
+            if (grid) scale.grid = { color: grid };
+          });
+          return scales;
+        }
+
+        const ctx = canvas.getContext('2d');
+        const cursorLine = cursorLinePlugin;
+        const data = xs.map((x, i) => ({ x, y: elev[i] }));
+
+        chart = new Chart(ctx, {
+          type: 'line',
+          data: {
+            datasets: [
+              { label: t('elevation'),
+                data,
+                borderColor: color,
+                backgroundColor: token('--pm-color-fill', 'rgba(25,118,210,0.10)'),
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0.2,
+                fill: true,
+                segment: bands ? {
+                  borderColor: c => bands[bandIndex(bands, series.grade[c.p1DataIndex])].color,
+                  backgroundColor: c => withAlpha(bands[bandIndex(bands, series.grade[c.p1DataIndex])].color, 0.25)
+                } : undefined },
+              { type: 'scatter',
+                data: stageScatter,
+                parsing: false,
+                showLine: false,
+                pointStyle: 'circle',
+                pointBackgroundColor: accent,
+                pointBorderColor: accent,
+                pointBorderWidth: 1,
+                pointRadius: 3,
+                pointHoverRadius: 5 },
+              { type: 'scatter',
+                data: poiScatter(pois, xs, elev, hiddenPoi),
+                parsing: false,
+                showLine: false,
+                hidden: !pois.length || poiOpts.chart === false,
+                pointStyle: 'triangle',
+                pointBackgroundColor: c => poiCategories[c.raw?.poi.key]?.color || accent,
+                pointBorderColor: '#fff',
+                pointBorderWidth: 1,
+                pointRadius: 5,
+                pointHoverRadius: 7 },
+              { type: 'scatter',
+                data: youScatter(),
+                parsing: false,
+                showLine: false,
+                pointStyle: 'circle',
+                pointBackgroundColor: YOU_COLOR,
+                pointBorderColor: '#fff',
+                pointBorderWidth: 2,
+                pointRadius: 7,
+                pointHoverRadius: 8 },
+              ...variantDatasets()
+            ]
+          },
+          options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'nearest', intersect: false, axis: 'x' },
+            plugins: {
+              legend: { display: false },
+              tooltip: {
+                callbacks: {
+                  title: items => {
+                    const item = items.find(it => it.datasetIndex === 0);
+                    const poiItem = items.find(it => it.datasetIndex === 2);
+                    const youItem = items.find(it => it.datasetIndex === 3);
+                    const idx = item ? item.dataIndex : (poiItem ? poiItem.raw.poi.index : (youItem ? youIdx : -1));
+                    if (idx > -1) return t.num(dist[idx], 1, 1) + ' ' + unitsFor(currentUnits).dist;
+                    const variantItem = items.find(it => it.datasetIndex > 3);
+                    if (!variantItem) return '';
+                    return currentXAxis === 'time' ? formatDuration(variantItem.raw.x, t)
+                      : t.num(variantItem.raw.x, 1, 1) + ' ' + unitsFor(currentUnits).dist;
+                  },
+                  label: item => item.datasetIndex > 3
+                    ? item.dataset.label + ': ' + t.num(item.parsed.y) + ' ' + unitsFor(currentUnits).elev
+                    : item.datasetIndex === 3 ? t('youAreHere')
+                    : item.datasetIndex === 2
+                      ? poiCategories[item.raw.poi.key].label + ': ' + (item.raw.poi.wp.name || '')
+                      : t('tipElevation', { value: t.num(item.parsed.y) + ' ' + unitsFor(currentUnits).elev }),
+                  afterLabel: item => {
+                    if (item.datasetIndex !== 0) return '';
+                    const lines = [t('tipGrade', { value: t.num(series.grade[item.dataIndex], 1, 1) + '%' })];
+                    if (series.timeH) lines.push(t('tipTime', { value: formatDuration(timeTo(item.dataIndex), t) }));
+                    return lines;
+                  }
+                }
               }
             },
-            plugins: [cursorLine]
-          });
+            parsing: false,
+            scales: chartScales()
+          },
+          plugins: [cursorLine]
+        });
 
-          // Sync mouse with map
-          function kmToIndex(mi) {
-            let lo = 0, hi = distMi.length - 1;
-            while (lo < hi) {
-              const mid = (lo + hi) >> 1;
-              if (distMi[mid] < mi) lo = mid + 1; else hi = mid;
-            }
-            const i2 = lo;
-            const i1 = Math.max(0, lo - 1);
-            return (Math.abs(distMi[i1] - mi) <= Math.abs(distMi[i2] - mi)) ? i1 : i2;
+        // Redraw the profile after a units, stage, x-axis or theme change (keeps the map as-is)
+        redrawChart = () => {
+          ({ dist, elev, xs, stageScatter } = seriesInUnits(series, currentUnits, currentXAxis));
+          chart.data.datasets[0].data = xs.map((x, i) => ({ x, y: elev[i] }));
+          chart.data.datasets[0].hidden = chart.data.datasets[1].hidden = !mainVisible;
+          chart.data.datasets[0].borderColor = color;
+          chart.data.datasets[0].backgroundColor = token('--pm-color-fill', 'rgba(25,118,210,0.10)');
+          chart.data.datasets[1].data = stageScatter;
+          chart.data.datasets[1].pointBackgroundColor = chart.data.datasets[1].pointBorderColor = accent;
+          chart.data.datasets[2].data = poiScatter(pois, xs, elev, hiddenPoi);
+          chart.data.datasets[3].data = youScatter();
+          chart.data.datasets.splice(4, Infinity, ...variantDatasets());
+          chart.options.scales = chartScales();
+          chart.update();
+        };
+
+        // Sync mouse with map (xs is distance or time; both only ever increase)
+        function xToIndex(v) {
+          return nearestIndex(xs, v);
+        }
+
+        // Show route point idx on both the map and the chart (from either side)
+        function setCursor(idx) {
+          const pt = pts[idx];
+          if (!pt) return;
+          ensureCursorMarker([pt.lat, pt.lon]).setLatLng([pt.lat, pt.lon]);
+          cursorMarker.setStyle({ opacity: 1, fillOpacity: 1 });
+          const [x0, x1] = xRange();
+          const active = (xs[idx] >= x0 && xs[idx] <= x1) ? [{ datasetIndex: 0, index: idx }] : [];
+          chart.setActiveElements(active);
+          const el0 = active.length && chart.getDatasetMeta(0).data[idx];
+          chart.tooltip.setActiveElements(active, el0 ? { x: el0.x, y: el0.y } : { x: 0, y: 0 });
+          chart.update('none');
+          emit('cursor', { index: idx, lat: pt.lat, lon: pt.lon, distanceKm: series.distKm[idx], elevationM: series.elevM[idx] });
+        }
+        function clearCursor() {
+          if (cursorMarker) cursorMarker.setStyle({ opacity: 0, fillOpacity: 0 });
+          chart.setActiveElements([]);
+          chart.tooltip.setActiveElements([], { x: 0, y: 0 });
+          chart.update('none');
+          emit('cursor', null);
+        }
+
+        // Chart -> map. Pointer events cover mouse, pen and touch; horizontal drags scrub the
+        // profile while vertical swipes still scroll the page.
+        const updateFromEvent = (evt) => {
+          const xScale = chart.scales.x;
+          const rect = ctx.canvas.getBoundingClientRect();
+          const px = evt.clientX - rect.left;
+          const xPx = Math.min(Math.max(px, xScale.left), xScale.right);
+          setCursor(xToIndex(xScale.getValueForPixel(xPx)));
+        };
+        const onPointerMove = perFrame(updateFromEvent);
+        const onLeave = (evt) => {
+          if (evt.pointerType === 'touch') return;   // keep the last tapped point visible
+          onPointerMove.cancel();
+          if (pinnedIdx > -1) setCursor(pinnedIdx); else clearCursor();
+        };
+        const onClick = (evt) => {
+          if (!cursorMarker) return;
+          const ll = cursorMarker.getLatLng();
+          if (ll) map.panTo(ll, { animate: true });
+          if (hashKey) pinCursor(xToIndex(chart.scales.x.getValueForPixel(evt.clientX - ctx.canvas.getBoundingClientRect().left)));
+        };
+
+        // Map -> chart: hovering (or tapping) near the route moves the chart cursor
+        let cursorFromMap = false;
+        const nearRoute = (latlng, px) => {
+          const maxKm = px * metresPerPixel(map.getZoom(), latlng.lat) / 1000;
+          return routeIdx.nearest(latlng.lat, latlng.lng, maxKm).index;
+        };
+        const onMapMove = perFrame((e) => {
+          const idx = nearRoute(e.latlng, ROUTE_HOVER_PX);
+          if (idx > -1) {
+            cursorFromMap = true;
+            setCursor(idx);
+          } else if (cursorFromMap) {
+            cursorFromMap = false;
+            clearCursor();
           }
+        });
+        const onMapOut = () => {
+          onMapMove.cancel();
+          if (!cursorFromMap) return;
+          cursorFromMap = false;
+          if (pinnedIdx > -1) setCursor(pinnedIdx); else clearCursor();
+        };
+        const onMapTap = (e) => {
+          const idx = nearRoute(e.latlng, ROUTE_TAP_PX);
+          if (idx > -1) setCursor(idx);
+          if (hashKey) pinCursor(idx);
+        };
+        cursorTo = setCursor;
 
-          const updateFromEvent = (evt) => {
-            const xScale = chart.scales.x;
-            const rect = ctx.canvas.getBoundingClientRect();
-            const px = evt.clientX - rect.left;
-            const xPx = Math.min(Math.max(px, xScale.left), xScale.right);
-            const mi = xScale.getValueForPixel(xPx);
-            const idx = kmToIndex(mi);
-            const pt = pts[idx];
-            if (!pt) return;
-            ensureCursorMarker([pt.lat, pt.lon]).setLatLng([pt.lat, pt.lon]);
-            cursorMarker.setStyle({ opacity: 1, fillOpacity: 1 });
-            chart.setActiveElements([{ datasetIndex: 0, index: idx }]);
-            chart.update('none');
-          };
-
-          ctx.canvas.addEventListener('mousemove', updateFromEvent);
-          ctx.canvas.addEventListener('mouseleave', () => {
-            if (cursorMarker) cursorMarker.setStyle({ opacity: 0, fillOpacity: 0 });
-            chart.setActiveElements([]);
-            chart.update('none');
-          });
-          ctx.canvas.addEventListener('click', () => {
-            if (!cursorMarker) return;
-            const ll = cursorMarker.getLatLng();
-            if (ll) map.panTo(ll, { animate: true });
+        ctx.canvas.style.touchAction = 'pan-y';
+        ctx.canvas.addEventListener('pointermove', onPointerMove);
+        ctx.canvas.addEventListener('pointerdown', updateFromEvent);
+        ctx.canvas.addEventListener('pointerleave', onLeave);
+        ctx.canvas.addEventListener('click', onClick);
+        map.on('mousemove', onMapMove);
+        map.on('mouseout', onMapOut);
+        map.on('click', onMapTap);
+        routeCleanups.push(() => {
+          ctx.canvas.removeEventListener('pointermove', onPointerMove);
+          onPointerMove.cancel();
+          ctx.canvas.removeEventListener('pointerdown', updateFromEvent);
+          ctx.canvas.removeEventListener('pointerleave', onLeave);
+          ctx.canvas.removeEventListener('click', onClick);
+          map.off('mousemove', onMapMove);
+          onMapMove.cancel();
+          map.off('mouseout', onMapOut);
+          map.off('click', onMapTap);
+        });
+      } else {
+        // Chart disabled, or no heights in this route: hide the card
+        if (card) card.style.display = 'none';
+      }
+    }
+
+    // Categorized waypoint markers with a layer control; each is also projected onto the route for the chart
+    function setupPois(waypoints) {
+      const layers = {};
+      pois = waypoints.filter(wp => isFinite(wp.lat) && isFinite(wp.lon)).map(wp => {
+        const key = poiCategory(poiCategories, wp);
+        const cat = poiCategories[key];
+        if (!layers[key]) layers[key] = L.layerGroup().addTo(map);
+        L.marker([wp.lat, wp.lon], { icon: poiIcon(cat), title: wp.name || cat.label })
+          .bindPopup(poiPopup(wp, cat, t))
+          .addTo(layers[key]);
+        return { key, wp, index: routeIdx.nearest(wp.lat, wp.lon, POI_MAX_OFFSET_KM).index };
+      });
+
+      const overlays = {};
+      Object.keys(layers).forEach(key => {
+        const count = pois.filter(p => p.key === key).length;
+        overlays[poiCategories[key].label + ' (' + count + ')'] = layers[key];
+      });
+      poiControl = L.control.layers(null, overlays, { collapsed: true, position: 'topleft' }).addTo(map);
+      const keyOf = layer => Object.keys(layers).find(k => layers[k] === layer);
+      const onOverlay = e => {
+        const key = keyOf(e.layer);
+        if (!key) return;
+        if (e.type === 'overlayadd') hiddenPoi.delete(key); else hiddenPoi.add(key);
+        if (redrawChart) redrawChart();
+      };
+      map.on('overlayadd overlayremove', onOverlay);
+      routeCleanups.push(() => {
+        map.off('overlayadd overlayremove', onOverlay);
+        map.removeControl(poiControl);
+        poiControl = null;
+        Object.values(layers).forEach(layer => map.removeLayer(layer));
+      });
+    }
+
+    // Offline panel: size estimate, then "Save offline" pre-caches tiles, route and libraries.
+    // Tiles only ever come from offline.tileUrl: bulk downloads break most public tile servers' terms.
+    function offlineTileUrls() {
+      const tiles = routeTiles(series.pts, offlineOpts.minZoom, offlineOpts.maxZoom, offlineOpts.bufferKm);
+      const layerOpts = { ...tl.options, subdomains: offlineOpts.subdomains || tl.options.subdomains };
+      return tiles.map(t => tileUrl(offlineOpts.tileUrl, layerOpts, t));
+    }
+
+    function offlineAssetUrls() {
+      const abs = u => new URL(u, location.href).href;
+      const urls = [SELF_URL, EMBED_URL, brandLogo()];
+      if (LIBS.leaflet) urls.push(LIBS.leaflet.js, LIBS.leaflet.css);
+      if (chart && LIBS.chart) urls.push(LIBS.chart.js);
+      if (currentSource && currentSource.url) urls.push(currentSource.url);
+      document.querySelectorAll('link[rel="stylesheet"][href*="pilgrim-map"]').forEach(l => urls.push(l.href));
+      return Array.from(new Set(urls.filter(Boolean).map(abs)));
+    }
+
+    async function setupOffline() {
+      if (!offlineUi) {
+        offlineUi = el('div', 'pm-offline');
+        container.insertBefore(offlineUi, errBox);
+        offlineUi.button = el('button', 'pm-offline-btn', offlineUi);
+        offlineUi.button.type = 'button';
+        offlineUi.progress = el('progress', 'pm-offline-progress', offlineUi);
+        offlineUi.progress.hidden = true;
+        offlineUi.status = el('span', 'pm-offline-status', offlineUi);
+        offlineUi.button.addEventListener('click', () => { saveOffline().catch(() => {}); });
+      }
+      const { button, status } = offlineUi;
+      if (!('serviceWorker' in navigator) || !global.caches || !offlineOpts.swUrl || !offlineOpts.tileUrl) {
+        button.disabled = true;
+        button.textContent = t('saveOffline');
+        status.textContent = t(!offlineOpts.swUrl ? 'offlineNeedsSw' : !offlineOpts.tileUrl ? 'offlineNeedsTiles' : 'offlineNeedsHttps');
+        return;
+      }
+      const count = offlineTileUrls().length;
+      button.disabled = count > offlineOpts.maxTiles;
+      button.textContent = t('saveOfflineSize', { size: formatMB(count * AVG_TILE_BYTES, t) });
+      status.textContent = t('offlineTiles', { count: t.num(count), min: offlineOpts.minZoom, max: offlineOpts.maxZoom }) +
+        (count > offlineOpts.maxTiles ? t('offlineTooMany') : '');
+      if (navigator.storage && navigator.storage.estimate) {
+        const { quota, usage } = await navigator.storage.estimate();
+        if (quota) status.textContent += t('offlineFree', { size: formatMB(quota - (usage || 0), t) });
+      }
+    }
+
+    // Pre-cache everything this map needs offline; resolves to { tiles, failed }
+    async function saveOffline() {
+      if (!series || !offlineOpts || !offlineOpts.swUrl || !offlineOpts.tileUrl) throw new Error('Offline mode is not enabled');
+      const urls = offlineTileUrls();
+      if (urls.length > offlineOpts.maxTiles) throw new Error('Too many tiles to save offline (' + urls.length + ')');
+      const ui = offlineUi || {};
+      const setStatus = msg => { if (ui.status) ui.status.textContent = msg; };
+      if (ui.button) ui.button.disabled = true;
+      if (ui.progress) { ui.progress.hidden = false; ui.progress.value = 0; ui.progress.max = urls.length; }
+      try {
+        await ensureServiceWorker(offlineOpts.swUrl);
+        if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+        setStatus(t('offlineSavingAssets'));
+        await precacheUrls(OFFLINE_CACHES.assets, offlineAssetUrls());
+        const res = await precacheUrls(OFFLINE_CACHES.tiles, urls, (done, total) => {
+          if (ui.progress) ui.progress.value = done;
+          setStatus(t('offlineSavingTiles', { done: t.num(done), total: t.num(total) }));
+        });
+        setStatus(res.failed ? t('offlineMissing', { count: t.num(res.failed) }) : t('offlineSaved'));
+        return { tiles: urls.length, failed: res.failed };
+      } catch (err) {
+        setStatus(t('offlineFailed', { error: err.message || err }));
+        throw err;
+      } finally {
+        if (ui.button) ui.button.disabled = false;
+        if (ui.progress) ui.progress.hidden = true;
+      }
+    }
+
+    // "You are here": a map button toggles geolocation tracking; each fix is snapped to the route
+    function addLocateControl() {
+      const LocateControl = L.Control.extend({
+        onAdd() {
+          const bar = L.DomUtil.create('div', 'leaflet-bar pm-locate-control');
+          const btn = L.DomUtil.create('a', 'pm-locate-btn', bar);
+          btn.href = '#';
+          btn.setAttribute('role', 'button');
+          btn.title = t('locate');
+          btn.setAttribute('aria-label', t('locate'));
+          btn.setAttribute('aria-pressed', 'false');
+          btn.textContent = '◎';
+          L.DomEvent.disableClickPropagation(bar);
+          L.DomEvent.on(btn, 'click', e => {
+            L.DomEvent.preventDefault(e);
+            if (watchId == null) startTracking(); else stopTracking();
           });
-        } else {
-          // If chart disabled, hide the card
-          const card = canvas.closest('.pm-elev-card');
-          if (card) card.style.display = 'none';
+          return bar;
         }
+      });
+      return new LocateControl({ position: 'topleft' }).addTo(map);   // top-right is the brand badge
+    }
+
+    function setLocateButton(active) {
+      const btn = locateControl && locateControl.getContainer().querySelector('.pm-locate-btn');
+      if (!btn) return;
+      btn.classList.toggle('is-active', active);
+      btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    }
+
+    function setLocateStatus(text, offRoute) {
+      if (!locateUi) {
+        locateUi = el('div', 'pm-locate');
+        locateUi.setAttribute('role', 'status');
+        mapDiv.insertAdjacentElement('afterend', locateUi);
+      }
+      locateUi.hidden = !text;
+      locateUi.textContent = text || '';
+      locateUi.classList.toggle('is-off-route', !!offRoute);
+    }
+
+    // Start following the device position (geolocation can be swapped for a mock via locate.geolocation)
+    function startTracking() {
+      if (watchId != null || destroyed) return;
+      geo = locateOpts.geolocation || navigator.geolocation;
+      if (!geo) {
+        setLocateStatus(t('locateUnsupported'));
+        return;
+      }
+      setLocateStatus(t('locateFinding'));
+      setLocateButton(true);
+      watchId = geo.watchPosition(pos => {
+        lastFix = { lat: pos.coords.latitude, lon: pos.coords.longitude, accuracy: pos.coords.accuracy };
+        showFix(locateOpts.follow);
+      }, err => {
+        setLocateStatus(t('locateUnavailable', { error: err.message || t('locateUnknown') }));
+        if (err.code === 1) stopTracking(true);   // permission denied: don't keep asking
+      }, locateOpts.watch);
+    }
+
+    function stopTracking(keepStatus) {
+      if (watchId != null) geo.clearWatch(watchId);
+      watchId = null;
+      lastFix = null;
+      lastPosition = null;
+      youIdx = -1;
+      if (youMarker) { map.removeLayer(youMarker); youMarker = null; }
+      if (accuracyCircle) { map.removeLayer(accuracyCircle); accuracyCircle = null; }
+      setLocateButton(false);
+      if (locateUi && keepStatus !== true) setLocateStatus('');
+      if (redrawChart) redrawChart();
+    }
+
+    // Draw the last fix, snap it to the route and report progress
+    function showFix(follow) {
+      const { lat, lon, accuracy } = lastFix;
+      const ll = [lat, lon];
+      if (!youMarker) {
+        accuracyCircle = L.circle(ll, { radius: accuracy || 0, color: YOU_COLOR, weight: 1, fillOpacity: 0.1, interactive: false }).addTo(map);
+        youMarker = L.circleMarker(ll, { radius: 7, color: '#fff', weight: 2, fillColor: YOU_COLOR, fillOpacity: 1, interactive: false }).addTo(map);
       } else {
-        // GEOJSON PATH
-        let gj = geojson;
-        if (!gj && geojsonUrl) {
-          const res = await fetch(geojsonUrl, { cache: 'no-store' });
-          if (!res.ok) throw new Error('Failed to fetch GeoJSON (' + res.status + ')');
-          gj = await res.json();
+        youMarker.setLatLng(ll);
+        accuracyCircle.setLatLng(ll).setRadius(accuracy || 0);
+      }
+      if (follow && !map.getBounds().contains(ll)) map.panTo(ll);
+      if (!series) return;
+
+      let near = routeIdx.nearest(lat, lon, locateOpts.offRouteM / 1000);
+      const onRoute = near.index > -1;
+      if (!onRoute) near = routeIdx.nearest(lat, lon, Infinity);
+      youIdx = onRoute ? near.index : -1;
+      lastPosition = { lat, lon, accuracy, onRoute, offRouteKm: near.km, ...routeProgress(series, near.index) };
+      renderLocate();
+      if (redrawChart) redrawChart();
+      emit('position', { ...lastPosition });
+    }
+
+    function renderLocate() {
+      if (!lastPosition) return;
+      const u = unitsFor(currentUnits);
+      const d = km => t.num(km * u.perKm, 1, 1) + ' ' + u.dist;
+      const p = lastPosition;
+      if (!p.onRoute) {
+        setLocateStatus(t('offRoute', { distance: d(p.offRouteKm), along: d(p.doneKm) }), true);
+        return;
+      }
+      const climb = m => (m != null ? t('climbUp', { height: t.num(m * u.perM) + ' ' + u.elev }) : '');
+      const stage = stages[p.stageIndex];
+      const parts = [t('here', { distance: d(p.doneKm) })];
+      if (stage && stages.length > 1) {
+        parts.push(t('toStageEnd', { distance: d(p.stageRemainingKm), climb: climb(p.stageRemainingAscentM), stage: stage.name }));
+      }
+      parts.push(t('toGo', { distance: d(p.remainingKm), climb: climb(p.remainingAscentM) }));
+      setLocateStatus(parts.join(' · '));
+    }
+
+    // Export: the selected stage, or the whole route split into its stages
+    function exportRanges() {
+      const stage = stages[selectedStage];
+      return stage ? [stage] : (stages.length ? stages : [series.totals]);
+    }
+
+    function exportWaypoints(ranges) {
+      if (selectedStage < 0) return series.waypoints;
+      return series.waypoints.filter(wp => {
+        const i = routeIdx.nearest(wp.lat, wp.lon, POI_MAX_OFFSET_KM).index;
+        return ranges.some(r => i >= r.startIdx && i <= r.endIdx);
+      });
+    }
+
+    function exportName() {
+      const stage = stages[selectedStage];
+      if (stage) return stage.name;
+      const url = currentSource && currentSource.url;
+      return url ? decodeURIComponent(url.split(/[?#]/)[0].split('/').pop().replace(/\.[^.]+$/, '')) : '';
+    }
+
+    // The selected stage (or whole route) as a 'gpx' or 'geojson' Blob
+    function exportRoute(format = 'gpx') {
+      if (!series) throw new Error('No route is loaded');
+      const ranges = exportRanges();
+      const waypoints = exportWaypoints(ranges);
+      if (format === 'gpx') {
+        return new Blob([rangesToGpx(series, ranges, waypoints, exportName())], { type: 'application/gpx+xml' });
+      }
+      if (format === 'geojson') {
+        return new Blob([JSON.stringify(rangesToGeojson(series, ranges, waypoints))], { type: 'application/geo+json' });
+      }
+      throw new Error('Unknown export format "' + format + '"');
+    }
+
+    // PNG Blob of the elevation profile ('profile') or a branded map-plus-profile card ('map')
+    async function exportImage(kind = 'map') {
+      if (!series) throw new Error('No route is loaded');
+      const hasChart = !!chart && card.style.display !== 'none';
+      if (kind === 'profile') {
+        if (!hasChart) throw new Error('This route has no elevation profile');
+        const out = el('canvas');
+        out.width = chart.canvas.width;
+        out.height = chart.canvas.height;
+        const ctx = out.getContext('2d');
+        ctx.fillStyle = token('--pm-color-card', '#fff');
+        ctx.fillRect(0, 0, out.width, out.height);
+        ctx.drawImage(chart.canvas, 0, 0);
+        return canvasToBlob(out);
+      }
+      if (kind !== 'map') throw new Error('Unknown image kind "' + kind + '"');
+      return canvasToBlob(await renderMapCard(hasChart));
+    }
+
+    async function renderMapCard(withProfile) {
+      const scale = Math.min(global.devicePixelRatio || 1, 2);
+      const size = map.getSize();
+      const W = size.x;
+      const headH = 48;
+      const profileH = withProfile ? Math.round(W * chart.canvas.height / chart.canvas.width) : 0;
+      const out = el('canvas');
+      out.width = W * scale;
+      out.height = (headH + size.y + profileH) * scale;
+      const ctx = out.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.fillStyle = token('--pm-color-card', '#fff');
+      ctx.fillRect(0, 0, W, headH + size.y + profileH);
+
+      // Header: logo + brand text
+      const style = getComputedStyle(root);
+      const logo = brandLogo() ? await fetchImage(brandLogo()) : null;
+      let textX = 12;
+      if (logo) {
+        const h = 32;
+        const w = h * logo.width / logo.height;
+        ctx.filter = token('--pm-logo-filter', 'none');   // the theme's logo treatment, as on the badge
+        ctx.drawImage(logo, 12, (headH - h) / 2, w, h);
+        ctx.filter = 'none';
+        textX += w + 10;
+      }
+      ctx.fillStyle = accent;
+      ctx.textBaseline = 'middle';
+      ctx.font = '700 17px ' + (style.getPropertyValue('--pm-font-heading').trim() || 'sans-serif');
+      ctx.fillText([brandText, exportName()].filter(Boolean).join(' — '), textX, headH / 2);
+
+      // Map: the visible tiles, then the route lines on top
+      ctx.save();
+      ctx.translate(0, headH);
+      ctx.beginPath();
+      ctx.rect(0, 0, W, size.y);
+      ctx.clip();
+      const mapRect = mapDiv.getBoundingClientRect();
+      const tiles = Array.from(mapDiv.querySelectorAll('img.leaflet-tile-loaded'));
+      const bitmaps = await Promise.all(tiles.map(img => fetchImage(img.src)));
+      tiles.forEach((img, i) => {
+        if (!bitmaps[i]) return;
+        const r = img.getBoundingClientRect();
+        ctx.drawImage(bitmaps[i], r.left - mapRect.left, r.top - mapRect.top, r.width, r.height);
+      });
+      // Each part of a multi-line and each polygon ring is its own subpath; polygons are closed and
+      // filled (holes cut out), lines are only stroked
+      const parts = latlngs => L.LineUtil.isFlat(latlngs) ? [latlngs] : latlngs.flatMap(parts);
+      map.eachLayer(layer => {
+        if (!(layer instanceof L.Polyline)) return;
+        const o = layer.options;
+        const area = layer instanceof L.Polygon && o.fill;
+        if (!o.stroke && !area) return;
+        ctx.beginPath();
+        parts(layer.getLatLngs()).forEach(part => {
+          part.forEach((ll, i) => {
+            const p = map.latLngToContainerPoint(ll);
+            if (i) ctx.lineTo(p.x, p.y); else ctx.moveTo(p.x, p.y);
+          });
+          if (layer instanceof L.Polygon) ctx.closePath();
+        });
+        if (area) {
+          ctx.fillStyle = o.fillColor || o.color;
+          ctx.globalAlpha = o.fillOpacity ?? 0.2;
+          ctx.fill('evenodd');
         }
-        if (!gj) throw new Error('Either gpxUrl or geojson/geojsonUrl is required');
+        if (o.stroke) {
+          ctx.strokeStyle = o.color;
+          ctx.globalAlpha = o.opacity ?? 1;
+          ctx.lineWidth = o.weight;
+          ctx.lineJoin = ctx.lineCap = 'round';
+          ctx.stroke();
+        }
+      });
+      ctx.globalAlpha = 1;
+      // Tile attribution is required when sharing map images
+      const attribution = new DOMParser().parseFromString(tl.options.attribution || '', 'text/html').body.textContent;
+      if (attribution) {
+        ctx.font = '11px ' + (style.getPropertyValue('--pm-font-body').trim() || 'sans-serif');
+        const tw = ctx.measureText(attribution).width;
+        ctx.fillStyle = 'rgba(255,255,255,0.85)';
+        ctx.fillRect(W - tw - 12, size.y - 18, tw + 12, 18);
+        ctx.fillStyle = '#333';
+        ctx.fillText(attribution, W - tw - 6, size.y - 9);
+      }
+      ctx.restore();
 
-        const layer = L.geoJSON(gj, {
-          style: () => lineOpts
-        }).addTo(map);
+      if (withProfile) ctx.drawImage(chart.canvas, 0, headH + size.y, W, profileH);
+      return out;
+    }
 
-        try {
-          map.fitBounds(layer.getBounds());
-        } catch (_) {}
+    // Browsers that can share but not files (or not this file) get the download instead
+    function canShareFile(file) {
+      return typeof navigator.canShare === 'function' && navigator.canShare({ files: [file] });
+    }
 
-        addCityMarkers(map, cities);
+    async function shareImage() {
+      const blob = await exportImage('map');
+      const file = new File([blob], slugify(exportName()) + '.png', { type: 'image/png' });
+      if (!canShareFile(file)) {
+        downloadBlob(blob, file.name);
+        return;
+      }
+      await navigator.share({ files: [file], title: [brandText, exportName()].filter(Boolean).join(' — ') });
+    }
 
-        // Hide the elevation card (no elevation data in plain GeoJSON)
-        const card = canvas.closest('.pm-elev-card');
-        if (card) card.style.display = 'none';
+    function addExportMenu() {
+      const menu = el('details', 'pm-export');
+      menu.hidden = true;
+      el('summary', '', menu).textContent = t('download');
+      const list = el('div', 'pm-export-list', menu);
+      const item = (key, label, run) => {
+        const btn = el('button', 'pm-export-item', list);
+        btn.type = 'button';
+        btn.dataset.export = key;
+        btn.textContent = label;
+        btn.addEventListener('click', async () => {
+          menu.open = false;
+          try {
+            await run();
+          } catch (err) {
+            if (err.name === 'AbortError') return;   // share sheet dismissed
+            report(err, 'EXPORT_FAILED');
+          }
+        });
+      };
+      const file = ext => slugify(exportName()) + ext;
+      item('profile', t('exportProfile'), async () => downloadBlob(await exportImage('profile'), file('-profile.png')));
+      item('map', t('exportMapProfile'), async () => downloadBlob(await exportImage('map'), file('.png')));
+      item('gpx', t('exportRouteGpx'), () => downloadBlob(exportRoute('gpx'), file('.gpx')));
+      item('geojson', t('exportRouteGeojson'), () => downloadBlob(exportRoute('geojson'), file('.geojson')));
+      if (canShareFile(new File([''], 'map.png', { type: 'image/png' }))) item('share', t('exportShare'), shareImage);
+      container.insertBefore(menu, errBox);
+      return menu;
+    }
+
+    function updateExportMenu() {
+      if (!exportUi) return;
+      exportUi.hidden = !series;
+      if (!series) return;
+      const what = stages[selectedStage] ? 'Stage' : 'Route';
+      exportUi.querySelector('[data-export="gpx"]').textContent = t('export' + what + 'Gpx');
+      exportUi.querySelector('[data-export="geojson"]').textContent = t('export' + what + 'Geojson');
+      exportUi.querySelector('[data-export="profile"]').hidden = !chart;
+      exportUi.querySelector('[data-export="map"]').textContent = t(chart ? 'exportMapProfile' : 'exportMap');
+    }
+
+    function addTimes(s) {
+      s.timeH = estimateTimes(s, timeOpts.model, timeOpts.pace);
+      s.stages.concat(s.totals).forEach(st => { st.timeH = s.timeH[st.endIdx] - s.timeH[st.startIdx]; });
+    }
+
+    // Totals strip for the selected stage, or the whole route
+    function renderSummary() {
+      summary.innerHTML = '';
+      if (!series) return;
+      const u = unitsFor(currentUnits);
+      const stats = stages[selectedStage] || series.totals;
+      const n = v => t.num(v);
+      [
+        [t('distance'), t.num(stats.distKm * u.perKm, 1, 1) + ' ' + u.dist],
+        [t('ascent'), n(stats.ascentM * u.perM) + ' ' + u.elev],
+        [t('descent'), n(stats.descentM * u.perM) + ' ' + u.elev],
+        [t('highest'), n(stats.maxEleM * u.perM) + ' ' + u.elev],
+        [t('steepest'), t.num(Math.abs(stats.maxGrade), 1, 1) + '%'],
+        ...(stats.timeH != null ? [[t('walkingTime'), '~' + formatDuration(stats.timeH, t)]] : [])
+      ].forEach(([label, value]) => {
+        const item = el('div', 'pm-stat', summary);
+        el('span', 'pm-stat-label', item).textContent = label;
+        el('span', 'pm-stat-value', item).textContent = value;
+      });
+    }
+
+    function renderGradeLegend() {
+      let legend = card.querySelector('.pm-grade-legend');
+      if (!legend) legend = el('div', 'pm-grade-legend', card);
+      legend.innerHTML = '';
+      bands.forEach(b => {
+        const item = el('span', '', legend);
+        const sw = el('i', 'pm-grade-swatch', item);
+        sw.style.background = b.color;
+        item.appendChild(document.createTextNode(b.label));
+      });
+    }
+
+    function renderStageList() {
+      stageList.innerHTML = '';
+      if (stages.length < 2) return;
+      stages.forEach((stage, i) => {
+        const li = el('li', '', stageList);
+        const btn = el('button', 'pm-stage', li);
+        btn.type = 'button';
+        btn.setAttribute('aria-pressed', i === selectedStage ? 'true' : 'false');
+        btn.classList.toggle('is-active', i === selectedStage);
+        el('span', 'pm-stage-name', btn).textContent = stage.name;
+        el('span', 'pm-stage-stats', btn).textContent = formatStage(stage, currentUnits, series.hasElevation, t);
+        btn.addEventListener('click', () => selectStage(i === selectedStage ? -1 : i));
+      });
+    }
+
+    // Highlight one stage on map + chart; pass -1 (or any invalid index) to show the whole route
+    function selectStage(i) {
+      const stage = stages[i];
+      selectedStage = stage ? i : -1;
+      viewRangeKm = null;
+      if (stageLayer) { map.removeLayer(stageLayer); dropSimplifiedLine(stageLayer); stageLayer = null; }
+      stageList.querySelectorAll('.pm-stage').forEach((btn, j) => {
+        btn.classList.toggle('is-active', j === selectedStage);
+        btn.setAttribute('aria-pressed', j === selectedStage ? 'true' : 'false');
+      });
+      renderSummary();
+      if (!series) return;
+
+      if (stage) {
+        map.fitBounds(L.latLngBounds(series.pts.slice(stage.startIdx, stage.endIdx + 1).map(p => [p.lat, p.lon])));
+        stageLayer = simplifiedLine(stage.startIdx, stage.endIdx, {
+          color: accent,
+          weight: lineOpts.weight + 2,
+          opacity: 0.9,
+          interactive: false
+        });
+        if (mainVisible) stageLayer.addTo(map);
+      } else {
+        map.fitBounds(L.latLngBounds(series.pts.map(p => [p.lat, p.lon])));
       }
-    } catch (err) {
-      console.error(err);
-      showError(err.message || 'Unknown error');
+      if (redrawChart) redrawChart();
+      updateExportMenu();
+      saveHashState();
+      emit('stageselect', { index: selectedStage, stage: stage ? getStages()[selectedStage] : null });
+    }
+
+    function getStages() {
+      return stages.map(s => ({ ...s, start: { ...s.start }, end: { ...s.end } }));
+    }
+
+    // Switch the elevation profile between 'imperial' (mi/ft) and 'metric' (km/m)
+    function setUnits(next) {
+      if (!UNITS[next] || next === currentUnits) return;
+      currentUnits = next;
+      renderStageList();
+      renderSummary();
+      renderRouteLegend();
+      renderLocate();
+      if (redrawChart) redrawChart();
+      saveHashState();
+    }
+
+    // Limit the profile to [fromKm, toKm] along the route; no arguments shows the stage / whole route again
+    function setXRange(fromKm, toKm) {
+      viewRangeKm = (isFinite(fromKm) && isFinite(toKm) && toKm > fromKm) ? [+fromKm, +toKm] : null;
+      if (redrawChart) redrawChart();
+      saveHashState();
+    }
+
+    // Keep a cursor point in the permalink (-1 drops it)
+    function pinCursor(idx) {
+      pinnedIdx = idx;
+      saveHashState();
     }
 
-    return { map, chart };
+    function saveHashState() {
+      if (!hashKey || restoring || !series) return;
+      const c = map.getCenter();
+      writeHashState(hashKey, {
+        z: map.getZoom(),
+        c: c.lat.toFixed(5) + ',' + c.lng.toFixed(5),
+        s: selectedStage > -1 ? selectedStage + 1 : null,
+        x: viewRangeKm ? viewRangeKm.map(v => +v.toFixed(2)).join('~') : null,
+        d: pinnedIdx > -1 ? series.distKm[pinnedIdx].toFixed(2) : null,
+        u: currentUnits
+      });
+    }
+
+    // Restore the view from the hash: units, stage, chart window, then map view and cursor
+    function applyHashState() {
+      const st = pendingHash;
+      pendingHash = null;
+      if (!st || !series) return;
+      restoring = true;
+      try {
+        if (UNITS[st.u]) setUnits(st.u);
+        const stageNo = parseInt(st.s, 10);
+        if (stageNo > 0 && stageNo <= stages.length) selectStage(stageNo - 1);
+        const range = (st.x || '').split('~').map(parseFloat);
+        if (range.length === 2) setXRange(range[0], range[1]);
+        const [lat, lon] = (st.c || '').split(',').map(parseFloat);
+        const zoom = parseInt(st.z, 10);
+        if (isFinite(lat) && isFinite(lon) && isFinite(zoom)) map.setView([lat, lon], zoom, { animate: false });
+        const km = parseFloat(st.d);
+        if (isFinite(km)) {
+          pinnedIdx = nearestIndex(series.distKm, km);
+          if (cursorTo) cursorTo(pinnedIdx);
+        }
+      } finally {
+        restoring = false;
+      }
+    }
+
+    // Plot the profile against distance or estimated walking time
+    function setXAxis(mode) {
+      const next = (mode === 'time' && timeOpts) ? 'time' : 'distance';
+      if (next === currentXAxis) return;
+      currentXAxis = next;
+      if (redrawChart) redrawChart();
+    }
+
+    // Switch to another theme in place: tokens, route and chart colors, logo and tiles. Unknown names throw.
+    function setTheme(name) {
+      if (name !== 'auto' && !THEMES[name]) throw pmkError('OPTION_INVALID', 'There is no "' + name + '" theme');
+      if (destroyed) return controller;
+      currentTheme = name;
+      restyle();
+      return controller;
+    }
+
+    function restyle() {
+      themed = resolveTheme(currentTheme);
+      applyTheme(root, themed);
+      color = line.color || token('--pm-color-primary', '#1976d2');
+      accent = token('--pm-color-accent', '#003366');
+      lineOpts.color = color;
+      if (routeLayer) routeLayer.setStyle({ color });
+      if (featureLayer) featureLayer.resetStyle();
+      if (stageLayer) stageLayer.setStyle({ color: accent });
+      if (cursorMarker) cursorMarker.setStyle({ color, fillColor: color });
+      const logo = container.querySelector('.pm-brand img');
+      if (logo && logo.getAttribute('src') !== brandLogo()) logo.src = brandLogo();
+      if (!ownTiles && themed.tiles !== tileSpec) {
+        tileSpec = themed.tiles;
+        map.removeLayer(tl);
+        tl = themeTileLayer(tileSpec).addTo(map);
+      }
+      renderRouteLegend();
+      if (redrawChart) redrawChart();
+    }
+
+    return controller;
+  }
+
+  /* ---------- Declarative embedding ----------
+   *   <pilgrim-map data-gpx-url="/routes/frances.gpx" data-units="metric"></pilgrim-map>
+   *   <div data-pilgrim-map data-gpx-url="/routes/frances.gpx">
+   *     <script type="application/json">{ "cities": [{ "name": "León", "lat": 42.6, "lon": -5.57 }] }</script>
+   *   </div>
+   * The scanner lives in pilgrim-embed.js, shared with the climate chart: it is loaded from next to this
+   * script unless the page already has it (bundles import it first, as pilgrim-kit.mjs does). create()
+   * options come from the inline JSON and data-* attributes; see that file for loading and events
+   * ("pilgrim-map:ready" with the controller, "pilgrim-map:error").
+   */
+  const EMBED_URL = SELF_URL ? new URL('pilgrim-embed.js', SELF_URL).href : '';
+  let autoInitEnabled = true;
+
+  function loadEmbed() {
+    const shared = global.pilgrim = global.pilgrim || {};
+    if (shared.embed) return Promise.resolve(shared.embed);
+    if (!EMBED_URL) return Promise.resolve(null);   // bundled without it: no declarative widgets
+    shared.embedLoading = shared.embedLoading || new Promise((resolve, reject) => {
+      const s = document.createElement('script');
+      s.src = EMBED_URL;
+      s.async = true;
+      s.onload = () => resolve(shared.embed);
+      s.onerror = () => reject(new Error('Failed to load ' + EMBED_URL + '; <pilgrim-map> elements will not start'));
+      document.head.appendChild(s);
+    });
+    return shared.embedLoading;
+  }
+
+  const embedded = loadEmbed().then(embed => embed && embed.define({
+    tag: 'pilgrim-map',
+    lists: ['cities', 'variants'],
+    enabled: () => autoInitEnabled,
+    create: (node, opts) => createPilgrimMap({ ...opts, wrapper: node })
+  }));
+  embedded.catch(err => console.error(err));
+
+  // Create every declared map in root (an element, or the whole document) that isn't set up yet
+  function autoInit(root = document) {
+    embedded.then(widget => { if (widget) widget.autoInit(root); }, () => {});
+    return PMK;
   }
 
   PMK.create = createPilgrimMap;
+  PMK.autoInit = autoInit;
+  PMK.pacePresets = PACE_PRESETS;  // add or tweak presets before calling create()
+  PMK.messages = MESSAGES;         // UI words per language for the `locale` option; add or edit before create()
+  // Add a route format: def = { parse(input) => track, json?: true } (see SOURCES for the track model)
+  PMK.registerSource = function (type, def) { SOURCES[String(type).toLowerCase()] = def; };
+  // Add or replace a theme (see THEMES); maps already on the page restyle in place
+  PMK.registerTheme = function (name, def) {
+    if (!name || name === 'auto' || !def || typeof def !== 'object') {
+      throw new Error('registerTheme needs a name (other than "auto") and a theme object');
+    }
+    THEMES[String(name)] = def;
+    themedMaps.forEach(m => m.restyle());
+    return PMK;
+  };
+
+  /* Configure dependency loading; call before create().
+   *   libs: { leaflet: { js, css, integrity, cssIntegrity }, chart: { js, integrity } }
+   *         — a string is shorthand for { js }; false (or css: false) means never load it, the page provides it.
+   *         Overriding a URL drops the default integrity hash unless you pass your own.
+   *   L, Chart: library objects to use instead of globals (bundlers).
+   *   autoInit: false stops the page scan for [data-pilgrim-map] elements; <pilgrim-map> elements and
+   *         PilgrimMapKit.autoInit(root) still work.
+   */
+  PMK.configure = function (cfg = {}) {
+    const libs = cfg.libs || {};
+    for (const key of Object.keys(libs)) {
+      if (key === 'gpx') continue;   // leaflet-gpx is no longer used; accepted for older configs
+      if (!(key in LIBS)) throw new Error('Unknown library "' + key + '"');
+      const given = typeof libs[key] === 'string' ? { js: libs[key] } : libs[key];
+      let next = given;
+      if (given && LIBS[key]) {
+        const prev = LIBS[key];
+        next = { ...prev, ...given };
+        if (next.js !== prev.js && !('integrity' in given)) delete next.integrity;
+        if (next.css !== prev.css && !('cssIntegrity' in given)) delete next.cssIntegrity;
+      }
+      LIBS[key] = next || false;
+    }
+    if (cfg.L) injected.L = cfg.L;
+    if (cfg.Chart) injected.Chart = cfg.Chart;
+    if (cfg.autoInit === false) autoInitEnabled = false;
+    resolveLibs();
+    return PMK;
+  };
+
+  if (typeof module === 'object' && module.exports) module.exports = PMK;
 
 })(window);
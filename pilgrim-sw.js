@@ -0,0 +1,43 @@
+/*! Pilgrim Map Kit — offline service worker.
+ *  Serves the tiles, libraries and route files that PilgrimMapKit pre-cached (caches named "pmk-*")
+ *  when the network fails or is too slow. Everything else passes straight through to the network.
+ *
+ *  Host it on your own origin, e.g. /pilgrim-sw.js, and pass that path as `offline: { swUrl, tileUrl }`
+ *  to PilgrimMapKit.create. Its scope decides which pages it serves.
+ */
+const PMK_CACHE_PREFIX = 'pmk-';
+const NETWORK_TIMEOUT_MS = 4000;   // after this, answer from the cache if we have a copy
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', event => {
+  const req = event.request;
+  if (req.method !== 'GET' || !/^https?:/.test(req.url)) return;
+  event.respondWith(networkFirst(req));
+});
+
+// Network first; fall back to a pre-cached copy on failure or timeout
+async function networkFirst(req) {
+  const network = fetch(req);
+  network.catch(() => {});   // a late failure after we answered from cache is fine
+  const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS, 'timeout'));
+  try {
+    const first = await Promise.race([network, timeout]);
+    if (first !== 'timeout') return first;
+    return (await matchCached(req)) || network;
+  } catch (err) {
+    const cached = await matchCached(req);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function matchCached(req) {
+  const names = (await caches.keys()).filter(n => n.startsWith(PMK_CACHE_PREFIX));
+  for (const name of names) {
+    const hit = await (await caches.open(name)).match(req.url);
+    if (hit) return hit;
+  }
+  return undefined;
+}
@@ -2,10 +2,17 @@
  *  Public API: window.pilgrim.tempChart.render(container, data, options)
  *  - container: DOM element (should have data-pilgrim="chart")
  *  - data: { highF:number[12], meanF:number[12], lowF:number[12], precipIn:number[12] }
+ *          or the same in metric: { highC, meanC, lowC, precipMm } (or bare high/mean/low/precip with units:"metric")
+ *          optional: rainDays:number[12], sunshineHours:number[12], latitude (adds the Rain Days / Sunshine / Daylight tabs)
+ *          or { source: url, format?: "json"|"csv", units? }  — climate normals file, see "data sources" below
+ *          or { station: id, index?: url }                    — entry of a JSON station index (default options.stationIndex)
+ *          or [{ label, data }, …] — one of the above per location, drawn as a comparison (see "comparison" below)
  *  - options?: {
  *      locationLabel?: string,
  *      unitsDefault?: "imperial"|"metric",
- *      wetMonths?: number[],  // e.g., [10,11,0,1,2]  (Nov–Mar)
+ *      locale?: string,       // e.g. "es", "pt-BR": words, month names and numbers (see "localization" below); default "en"
+ *      theme?: string,        // "light" (default), "dark", "auto" (follows prefers-color-scheme) or a registered name (see "themes" below)
+ *      wetMonths?: number[],  // e.g., [10,11,0,1,2]  (Nov–Mar) — the temperature caption names these
  *      dryMonths?: number[],  // e.g., [5,6,7,8]     (Jun–Sep)
  *      mobile?: { perMonthPx?: number },
  *      logo?: {
@@ -14,8 +21,22 @@
  *        size?: { desktop?:number, tablet?:number, mobile?:number },
  *        smartPlacement?: boolean,
  *        homeHref?: string
- *      }
+ *      },
+ *      stationIndex?: string,  // URL of the station index used by { station }
+ *      latitude?: number,      // for the Daylight tab when the data has none
+ *      panels?: string[],      // tabs to show, in order, e.g. ["temps","precip","daylight"]; see "panels" below
+ *      compareMetric?: "high"|"mean"|"low",  // comparison: temperature line shown first; default "high"
+ *      onError?: (err) => void, // every problem: err.code, err.fatal (see "validation" below); with it, a failed render resolves to null instead of rejecting
+ *      exportMenu?: boolean,  // "Download" menu (SVG / PNG of the active tab, CSV of the data); default true
+ *      dataTable?: boolean,   // show each tab's data table on screen from the start (it is always there for screen readers)
+ *      permalink?: boolean|string  // keep tab + units in the URL hash (#<key>=t:precip;u:metric); key = container id or "climate"
  *    }
+ *  Returns a Promise of { exportSvg(tab?), exportPng(tab?), exportCsv(), setTheme(name), destroy() } — Blobs (SVG/PNG via
+ *  Promise); tab is "temps"|"precip". destroy() removes the card and its page listeners; rendering into the container again
+ *  does the same. With { source } / { station } the card shows a loading state until the Promise settles.
+ *  No script needed: <pilgrim-climate> or [data-pilgrim-climate] elements render themselves (see
+ *  "declarative embedding" below); pilgrim.tempChart.autoInit(root) scans on demand and
+ *  pilgrim.tempChart.configure({ autoInit: false }) turns the page scan off.
  */
 (function(){
   const NS   = "http://www.w3.org/2000/svg";
@@ -33,6 +54,7 @@
   function circle(cx,cy,r, fill){ const c=document.createElementNS(NS,'circle'); c.setAttribute('cx',cx); c.setAttribute('cy',cy); c.setAttribute('r',r); c.setAttribute('fill',fill); return c; }
   function text(x,y,t,opts={}){ const el=document.createElementNS(NS,'text'); el.setAttribute('x',x); el.setAttribute('y',y); el.textContent=t; el.setAttribute('font-size',opts.size||12); el.setAttribute('fill',opts.fill||'currentColor'); el.setAttribute('text-anchor',opts.anchor||'middle'); if(opts.weight) el.setAttribute('font-weight',opts.weight); if(opts.family) el.setAttribute('style',`font-family:${opts.family}`); return el; }
 
+  const BODY_FONT = 'var(--pilgrim-font-body)', HEADING_FONT = 'var(--pilgrim-font-heading)';   // text() families: the theme's fonts
   function cssVar(el, name){ return getComputedStyle(el).getPropertyValue(name).trim(); }
   function getVarUrl(el, name, fallback){
     const v = cssVar(el, name);
@@ -55,27 +77,862 @@
     return groups;
   }
 
+  /* ---------- localization ----------
+     options.locale ("es", "pt-BR", …) picks the card's words from MESSAGES by language, English for anything
+     missing, and formats month names and numbers with Intl. pilgrim.tempChart.messages is the catalog: add
+     a language (messages.it = { … }) or change a phrase in place. {name} placeholders are filled in.
+     Warnings passed to onError stay in English. */
+  const MESSAGES = {
+    en: {
+      'card.title':'{place} Climate', 'card.region':'{place} climate charts', 'card.tabs':'{place} climate tabs',
+      'sub.single':'Monthly low/mean/high temperatures and average precipitation',
+      'sub.compare':'Monthly temperatures and average precipitation compared across {count} locations',
+      'sub.compareOne':'Monthly temperatures and average precipitation for one location',
+      'sub.with':', with {list}', 'sub.end':'. Long-term regional averages.',
+      'sub.rain':'rain days', 'sub.daylight':'daylight', 'sub.sun':'sunshine',
+      'units':'Units', 'metric':'Temperature shown', 'locations':'Locations shown',
+      'download':'Download', 'export.svg':'Chart as SVG', 'export.png':'Chart as PNG', 'export.csv':'Monthly data (CSV)',
+      'table.show':'Show data table', 'table.hide':'Hide data table', 'table.month':'Month',
+      'high':'High', 'mean':'Mean', 'low':'Low', 'tip.high':'high', 'tip.mean':'mean', 'tip.low':'low',
+      'tab.temps':'Temperatures', 'tab.precip':'Precipitation', 'tab.rain':'Rain Days', 'tab.daylight':'Daylight', 'tab.sun':'Sunshine',
+      'title.temps':'Monthly Temperatures ({unit})', 'title.high':'Monthly High Temperatures ({unit})',
+      'title.mean':'Monthly Mean Temperatures ({unit})', 'title.low':'Monthly Low Temperatures ({unit})',
+      'title.precip':'Average Monthly Precipitation ({unit})', 'title.rain':'Rainy Days per Month',
+      'title.daylight':'Daylight Hours', 'title.sun':'Monthly Sunshine Hours',
+      'caption.seasons':'Shaded bands show Wet ({wet}) and Dry ({dry}) seasons.',
+      'caption.wet':'Shaded bands show the Wet season ({wet}).', 'caption.dry':'Shaded bands show the Dry season ({dry}).',
+      'caption.precip':'Average monthly precipitation.',
+      'caption.rain':'Average number of days per month with measurable rain.',
+      'caption.daylight':'Time from sunrise to sunset on the 15th of each month, computed from the latitude.',
+      'caption.sun':'Average hours of bright sunshine per month.',
+      'noData':'no data', 'noTemps':'No temperature data', 'days':'days',
+      'rainDay':'{n} rain day', 'rainDays':'{n} rain days', 'sunHours':'{n} h of sunshine', 'hoursMinutes':'{h} h {m} min',
+      'keysHint':'Use the arrow keys to step through the months.',
+      'loading':'Loading climate data…', 'loadingFor':'Loading climate data for {place}…',
+      'loadingMany':'Loading climate data for {count} locations…',
+      'error.chart':'Climate chart error: ', 'error.load':'Climate data could not be loaded: ', 'error.export':'Download failed: ',
+      'location':'Location', 'locationN':'Location {n}', 'vs':' vs ', 'logo':'Go to The Pilgrim’s Path home'
+    },
+    es: {
+      'card.title':'Clima de {place}', 'card.region':'Gráficos climáticos de {place}', 'card.tabs':'Pestañas de clima de {place}',
+      'sub.single':'Temperaturas mínimas, medias y máximas mensuales y precipitación media',
+      'sub.compare':'Temperaturas mensuales y precipitación media comparadas entre {count} lugares',
+      'sub.compareOne':'Temperaturas mensuales y precipitación media de un lugar',
+      'sub.with':', con {list}', 'sub.end':'. Promedios regionales a largo plazo.',
+      'sub.rain':'días de lluvia', 'sub.daylight':'horas de luz', 'sub.sun':'horas de sol',
+      'units':'Unidades', 'metric':'Temperatura mostrada', 'locations':'Lugares mostrados',
+      'download':'Descargar', 'export.svg':'Gráfico en SVG', 'export.png':'Gráfico en PNG', 'export.csv':'Datos mensuales (CSV)',
+      'table.show':'Mostrar tabla de datos', 'table.hide':'Ocultar tabla de datos', 'table.month':'Mes',
+      'high':'Máxima', 'mean':'Media', 'low':'Mínima', 'tip.high':'máxima', 'tip.mean':'media', 'tip.low':'mínima',
+      'tab.temps':'Temperaturas', 'tab.precip':'Precipitación', 'tab.rain':'Días de lluvia', 'tab.daylight':'Luz diurna', 'tab.sun':'Sol',
+      'title.temps':'Temperaturas mensuales ({unit})', 'title.high':'Temperaturas máximas mensuales ({unit})',
+      'title.mean':'Temperaturas medias mensuales ({unit})', 'title.low':'Temperaturas mínimas mensuales ({unit})',
+      'title.precip':'Precipitación media mensual ({unit})', 'title.rain':'Días de lluvia al mes',
+      'title.daylight':'Horas de luz', 'title.sun':'Horas de sol mensuales',
+      'caption.seasons':'Las bandas sombreadas muestran la estación húmeda ({wet}) y la seca ({dry}).',
+      'caption.wet':'Las bandas sombreadas muestran la estación húmeda ({wet}).', 'caption.dry':'Las bandas sombreadas muestran la estación seca ({dry}).',
+      'caption.precip':'Precipitación media mensual.',
+      'caption.rain':'Número medio de días al mes con lluvia apreciable.',
+      'caption.daylight':'Tiempo entre la salida y la puesta del sol el día 15 de cada mes, calculado a partir de la latitud.',
+      'caption.sun':'Promedio de horas de sol al mes.',
+      'noData':'sin datos', 'noTemps':'Sin datos de temperatura', 'days':'días',
+      'rainDay':'{n} día de lluvia', 'rainDays':'{n} días de lluvia', 'sunHours':'{n} h de sol', 'hoursMinutes':'{h} h {m} min',
+      'keysHint':'Use las flechas para recorrer los meses.',
+      'loading':'Cargando datos climáticos…', 'loadingFor':'Cargando datos climáticos de {place}…',
+      'loadingMany':'Cargando datos climáticos de {count} lugares…',
+      'error.chart':'Error en el gráfico climático: ', 'error.load':'No se pudieron cargar los datos climáticos: ', 'error.export':'No se pudo descargar: ',
+      'location':'Lugar', 'locationN':'Lugar {n}', 'vs':' vs. ', 'logo':'Ir a la página de inicio de The Pilgrim’s Path'
+    },
+    pt: {
+      'card.title':'Clima de {place}', 'card.region':'Gráficos climáticos de {place}', 'card.tabs':'Abas de clima de {place}',
+      'sub.single':'Temperaturas mínimas, médias e máximas mensais e precipitação média',
+      'sub.compare':'Temperaturas mensais e precipitação média comparadas entre {count} locais',
+      'sub.compareOne':'Temperaturas mensais e precipitação média de um local',
+      'sub.with':', com {list}', 'sub.end':'. Médias regionais de longo prazo.',
+      'sub.rain':'dias de chuva', 'sub.daylight':'horas de luz', 'sub.sun':'horas de sol',
+      'units':'Unidades', 'metric':'Temperatura exibida', 'locations':'Locais exibidos',
+      'download':'Baixar', 'export.svg':'Gráfico em SVG', 'export.png':'Gráfico em PNG', 'export.csv':'Dados mensais (CSV)',
+      'table.show':'Mostrar tabela de dados', 'table.hide':'Ocultar tabela de dados', 'table.month':'Mês',
+      'high':'Máxima', 'mean':'Média', 'low':'Mínima', 'tip.high':'máxima', 'tip.mean':'média', 'tip.low':'mínima',
+      'tab.temps':'Temperaturas', 'tab.precip':'Precipitação', 'tab.rain':'Dias de chuva', 'tab.daylight':'Luz do dia', 'tab.sun':'Sol',
+      'title.temps':'Temperaturas mensais ({unit})', 'title.high':'Temperaturas máximas mensais ({unit})',
+      'title.mean':'Temperaturas médias mensais ({unit})', 'title.low':'Temperaturas mínimas mensais ({unit})',
+      'title.precip':'Precipitação média mensal ({unit})', 'title.rain':'Dias de chuva por mês',
+      'title.daylight':'Horas de luz do dia', 'title.sun':'Horas de sol mensais',
+      'caption.seasons':'As faixas sombreadas mostram a estação chuvosa ({wet}) e a seca ({dry}).',
+      'caption.wet':'As faixas sombreadas mostram a estação chuvosa ({wet}).', 'caption.dry':'As faixas sombreadas mostram a estação seca ({dry}).',
+      'caption.precip':'Precipitação média mensal.',
+      'caption.rain':'Número médio de dias por mês com chuva mensurável.',
+      'caption.daylight':'Tempo entre o nascer e o pôr do sol no dia 15 de cada mês, calculado a partir da latitude.',
+      'caption.sun':'Média de horas de sol por mês.',
+      'noData':'sem dados', 'noTemps':'Sem dados de temperatura', 'days':'dias',
+      'rainDay':'{n} dia de chuva', 'rainDays':'{n} dias de chuva', 'sunHours':'{n} h de sol', 'hoursMinutes':'{h} h {m} min',
+      'keysHint':'Use as setas para percorrer os meses.',
+      'loading':'Carregando dados climáticos…', 'loadingFor':'Carregando dados climáticos de {place}…',
+      'loadingMany':'Carregando dados climáticos de {count} locais…',
+      'error.chart':'Erro no gráfico climático: ', 'error.load':'Não foi possível carregar os dados climáticos: ', 'error.export':'Não foi possível descarregar: ',
+      'location':'Local', 'locationN':'Local {n}', 'vs':' vs. ', 'logo':'Ir para a página inicial de The Pilgrim’s Path'
+    },
+    fr: {
+      'card.title':'Climat de {place}', 'card.region':'Graphiques climatiques de {place}', 'card.tabs':'Onglets climat de {place}',
+      'sub.single':'Températures mensuelles minimales, moyennes et maximales et précipitations moyennes',
+      'sub.compare':'Températures mensuelles et précipitations moyennes comparées sur {count} lieux',
+      'sub.compareOne':'Températures mensuelles et précipitations moyennes pour un lieu',
+      'sub.with':', avec {list}', 'sub.end':'. Moyennes régionales à long terme.',
+      'sub.rain':'jours de pluie', 'sub.daylight':'durée du jour', 'sub.sun':'ensoleillement',
+      'units':'Unités', 'metric':'Température affichée', 'locations':'Lieux affichés',
+      'download':'Télécharger', 'export.svg':'Graphique en SVG', 'export.png':'Graphique en PNG', 'export.csv':'Données mensuelles (CSV)',
+      'table.show':'Afficher le tableau des données', 'table.hide':'Masquer le tableau des données', 'table.month':'Mois',
+      'high':'Maximale', 'mean':'Moyenne', 'low':'Minimale', 'tip.high':'maximale', 'tip.mean':'moyenne', 'tip.low':'minimale',
+      'tab.temps':'Températures', 'tab.precip':'Précipitations', 'tab.rain':'Jours de pluie', 'tab.daylight':'Durée du jour', 'tab.sun':'Ensoleillement',
+      'title.temps':'Températures mensuelles ({unit})', 'title.high':'Températures maximales mensuelles ({unit})',
+      'title.mean':'Températures moyennes mensuelles ({unit})', 'title.low':'Températures minimales mensuelles ({unit})',
+      'title.precip':'Précipitations mensuelles moyennes ({unit})', 'title.rain':'Jours de pluie par mois',
+      'title.daylight':'Heures de jour', 'title.sun':'Heures d’ensoleillement mensuelles',
+      'caption.seasons':'Les bandes grisées indiquent la saison humide ({wet}) et la saison sèche ({dry}).',
+      'caption.wet':'Les bandes grisées indiquent la saison humide ({wet}).', 'caption.dry':'Les bandes grisées indiquent la saison sèche ({dry}).',
+      'caption.precip':'Précipitations mensuelles moyennes.',
+      'caption.rain':'Nombre moyen de jours par mois avec des pluies mesurables.',
+      'caption.daylight':'Temps entre le lever et le coucher du soleil le 15 de chaque mois, calculé à partir de la latitude.',
+      'caption.sun':'Nombre moyen d’heures d’ensoleillement par mois.',
+      'noData':'pas de données', 'noTemps':'Pas de données de température', 'days':'jours',
+      'rainDay':'{n} jour de pluie', 'rainDays':'{n} jours de pluie', 'sunHours':'{n} h d’ensoleillement', 'hoursMinutes':'{h} h {m} min',
+      'keysHint':'Utilisez les flèches pour parcourir les mois.',
+      'loading':'Chargement des données climatiques…', 'loadingFor':'Chargement des données climatiques pour {place}…',
+      'loadingMany':'Chargement des données climatiques de {count} lieux…',
+      'error.chart':'Erreur du graphique climatique : ', 'error.load':'Impossible de charger les données climatiques : ', 'error.export':'Échec du téléchargement : ',
+      'location':'Lieu', 'locationN':'Lieu {n}', 'vs':' vs ', 'logo':'Aller à l’accueil de The Pilgrim’s Path'
+    },
+    de: {
+      'card.title':'Klima in {place}', 'card.region':'Klimadiagramme für {place}', 'card.tabs':'Klima-Reiter für {place}',
+      'sub.single':'Monatliche Tiefst-, Mittel- und Höchsttemperaturen und durchschnittlicher Niederschlag',
+      'sub.compare':'Monatliche Temperaturen und durchschnittlicher Niederschlag an {count} Orten im Vergleich',
+      'sub.compareOne':'Monatliche Temperaturen und durchschnittlicher Niederschlag für einen Ort',
+      'sub.with':', mit {list}', 'sub.end':'. Langjährige regionale Mittelwerte.',
+      'sub.rain':'Regentagen', 'sub.daylight':'Tageslicht', 'sub.sun':'Sonnenstunden',
+      'units':'Einheiten', 'metric':'Angezeigte Temperatur', 'locations':'Angezeigte Orte',
+      'download':'Herunterladen', 'export.svg':'Diagramm als SVG', 'export.png':'Diagramm als PNG', 'export.csv':'Monatsdaten (CSV)',
+      'table.show':'Datentabelle anzeigen', 'table.hide':'Datentabelle ausblenden', 'table.month':'Monat',
+      'high':'Hoch', 'mean':'Mittel', 'low':'Tief', 'tip.high':'Hoch', 'tip.mean':'Mittel', 'tip.low':'Tief',
+      'tab.temps':'Temperaturen', 'tab.precip':'Niederschlag', 'tab.rain':'Regentage', 'tab.daylight':'Tageslicht', 'tab.sun':'Sonnenschein',
+      'title.temps':'Monatliche Temperaturen ({unit})', 'title.high':'Monatliche Höchsttemperaturen ({unit})',
+      'title.mean':'Monatliche Mitteltemperaturen ({unit})', 'title.low':'Monatliche Tiefsttemperaturen ({unit})',
+      'title.precip':'Durchschnittlicher Monatsniederschlag ({unit})', 'title.rain':'Regentage pro Monat',
+      'title.daylight':'Tageslichtstunden', 'title.sun':'Monatliche Sonnenstunden',
+      'caption.seasons':'Schattierte Bereiche zeigen die Regenzeit ({wet}) und die Trockenzeit ({dry}).',
+      'caption.wet':'Schattierte Bereiche zeigen die Regenzeit ({wet}).', 'caption.dry':'Schattierte Bereiche zeigen die Trockenzeit ({dry}).',
+      'caption.precip':'Durchschnittlicher Monatsniederschlag.',
+      'caption.rain':'Durchschnittliche Anzahl der Tage pro Monat mit messbarem Regen.',
+      'caption.daylight':'Zeit von Sonnenaufgang bis Sonnenuntergang am 15. jedes Monats, aus dem Breitengrad berechnet.',
+      'caption.sun':'Durchschnittliche Sonnenstunden pro Monat.',
+      'noData':'keine Daten', 'noTemps':'Keine Temperaturdaten', 'days':'Tage',
+      'rainDay':'{n} Regentag', 'rainDays':'{n} Regentage', 'sunHours':'{n} Std. Sonnenschein', 'hoursMinutes':'{h} Std. {m} Min.',
+      'keysHint':'Mit den Pfeiltasten durch die Monate blättern.',
+      'loading':'Klimadaten werden geladen…', 'loadingFor':'Klimadaten für {place} werden geladen…',
+      'loadingMany':'Klimadaten für {count} Orte werden geladen…',
+      'error.chart':'Fehler im Klimadiagramm: ', 'error.load':'Klimadaten konnten nicht geladen werden: ', 'error.export':'Download fehlgeschlagen: ',
+      'location':'Ort', 'locationN':'Ort {n}', 'vs':' vs. ', 'logo':'Zur Startseite von The Pilgrim’s Path'
+    }
+  };
+  // t(key, vars) → the phrase; t.num(v, maxDigits=0, minDigits=0) (as in the map), t.months (short names, Jan first), t.locale
+  function translator(locale){
+    let tag = 'en';
+    try { tag = Intl.getCanonicalLocales(locale || 'en')[0] || 'en'; } catch(_){}
+    const table = { ...MESSAGES.en, ...(MESSAGES[tag.split('-')[0].toLowerCase()] || {}) };
+    const t = (key, vars) => String(key in table ? table[key] : key).replace(/\{(\w+)\}/g, (all,k)=> vars && vars[k]!=null ? vars[k] : all);
+    const formats = {};
+    t.has = key => key in table;
+    t.locale = tag;
+    t.num = (v, max=0, min=0) => (formats[max+'/'+min] = formats[max+'/'+min] || new Intl.NumberFormat(tag, { minimumFractionDigits:min, maximumFractionDigits:max })).format(v);
+    const monthFmt = new Intl.DateTimeFormat(tag, { month:'short', timeZone:'UTC' });
+    t.months = months.map((mo,i)=> monthFmt.format(Date.UTC(2001, i, 15)));
+    return t;
+  }
+
+  // Month indexes as ranges of names: [10,11,0,1,2] → "Nov–Mar", [0,1,5] → "Jan–Feb, Jun"
+  function monthRuns(list, names){
+    const set = new Set(list);
+    if(!set.size) return '';
+    if(set.size===12) return `${names[0]}–${names[11]}`;
+    const start = months.findIndex((mo,i)=> set.has(i) && !set.has((i+11)%12));   // first month after a gap
+    const runs = [];
+    for(let k=0;k<12;k++){
+      const i = (start+k)%12;
+      if(!set.has(i)) continue;
+      if(k && set.has((i+11)%12)) runs[runs.length-1][1] = i; else runs.push([i,i]);
+    }
+    return runs.map(([a,b])=> a===b ? names[a] : `${names[a]}–${names[b]}`).join(', ');
+  }
+  // The temperature tab's caption, from options.wetMonths / dryMonths
+  function seasonsCaption(t, options){
+    const wet = monthRuns(options.wetMonths, t.months), dry = monthRuns(options.dryMonths, t.months);
+    if(!wet && !dry) return '';
+    return t(wet && dry ? 'caption.seasons' : (wet ? 'caption.wet' : 'caption.dry'), { wet, dry });
+  }
+
+  /* ---------- validation ----------
+     Errors carry a `code` and `fatal` (false = drawn anyway):
+     NO_CONTAINER, DATA_MISSING, DATA_LENGTH — fatal; DATA_GAPS (missing/NaN months drawn as gaps), DATA_RANGE, OPTION_INVALID
+     — warnings (also DATA_LENGTH for the optional rainDays / sunshineHours); EXPORT_FAILED — a download from the
+     menu failed (shown under the title) */
+  const SERIES = { highF:'high temperatures (°F)', meanF:'mean temperatures (°F)', lowF:'low temperatures (°F)', precipIn:'precipitation totals (in)' };
+  const METRIC_KEY = { highF:'highC', meanF:'meanC', lowF:'lowC', precipIn:'precipMm' };
+  const EXTRA_SERIES = { rainDays:'rain days', sunshineHours:'sunshine hours' };
+  function chartError(code, msg, fatal=true){ const e=new Error(msg); e.code=code; e.fatal=fatal; return e; }
+  // Copy of the data with every unusable month (missing, blank, not a number, negative precipitation) as null
+  function checkData(data, problems){
+    if(!data || typeof data!=='object') throw chartError('DATA_MISSING','data must be an object with highF, meanF, lowF and precipIn arrays (12 months each, Jan–Dec)');
+    const out = {};
+    Object.keys(SERIES).forEach(k=>{
+      const arr = data[k];
+      if(!Array.isArray(arr)) throw chartError('DATA_MISSING',`data.${k} (or ${METRIC_KEY[k]}) is missing: expected 12 monthly ${SERIES[k]}, Jan–Dec`);
+      if(arr.length!==12) throw chartError('DATA_LENGTH',`data.${k} has ${arr.length} values; expected 12 (Jan–Dec)`);
+      const gaps = [];
+      out[k] = arr.map((v,i)=>{
+        const n = (v==null || v==='') ? NaN : +v;
+        if(!isFinite(n) || (k==='precipIn' && n<0)){ gaps.push(months[i]); return null; }
+        return n;
+      });
+      if(gaps.length) problems.push(chartError('DATA_GAPS',`No ${SERIES[k].replace(/ \(.*/,'')} for ${gaps.join(', ')} (data.${k}); shown as a gap`, false));
+    });
+    // Optional series for the extra panels: a bad one only hides its tab
+    Object.keys(EXTRA_SERIES).forEach(k=>{
+      const arr = data[k];
+      if(arr==null) return;
+      if(!Array.isArray(arr) || arr.length!==12){
+        problems.push(chartError('DATA_LENGTH',`data.${k} needs 12 monthly ${EXTRA_SERIES[k]} (Jan–Dec); that tab is hidden`, false));
+        return;
+      }
+      const gaps = [];
+      out[k] = arr.map((v,i)=>{ const n = (v==null || v==='') ? NaN : +v; if(!isFinite(n) || n<0){ gaps.push(months[i]); return null; } return n; });
+      if(gaps.length) problems.push(chartError('DATA_GAPS',`No ${EXTRA_SERIES[k]} for ${gaps.join(', ')} (data.${k}); shown as a gap`, false));
+    });
+    if(data.latitude!=null){
+      const lat = +data.latitude;
+      if(isFinite(lat) && Math.abs(lat)<=90) out.latitude = lat;
+      else problems.push(chartError('DATA_RANGE',`data.latitude must be a number from -90 to 90 (got "${data.latitude}"); no daylight tab`, false));
+    }
+    return out;
+  }
+  function checkOptions(options, problems){
+    if(options.unitsDefault!=='imperial' && options.unitsDefault!=='metric'){
+      problems.push(chartError('OPTION_INVALID',`unitsDefault must be "imperial" or "metric" (got "${options.unitsDefault}"); using imperial`, false));
+      options.unitsDefault = 'imperial';
+    }
+    if(options.latitude!=null && !(isFinite(+options.latitude) && Math.abs(+options.latitude)<=90)){
+      problems.push(chartError('OPTION_INVALID',`latitude must be a number from -90 to 90 (got "${options.latitude}"); no daylight tab`, false));
+      delete options.latitude;
+    }
+    if(options.latitude!=null) options.latitude = +options.latitude;
+    if(options.locale!=null){
+      try { Intl.getCanonicalLocales(options.locale); }
+      catch(_){ problems.push(chartError('OPTION_INVALID',`locale must be a language tag such as "es" or "pt-BR" (got "${options.locale}"); using English`, false)); }
+    }
+    if(options.theme!=null && options.theme!=='auto' && !THEMES[options.theme]){
+      problems.push(chartError('OPTION_INVALID',`theme must be "light", "dark", "auto" or a registered theme (got "${options.theme}"); using light`, false));
+      options.theme = 'light';
+    }
+    if(!METRIC_NAMES[options.compareMetric]){
+      if(options.compareMetric!=null) problems.push(chartError('OPTION_INVALID',`compareMetric must be "high", "mean" or "low" (got "${options.compareMetric}"); using high`, false));
+      options.compareMetric = 'high';
+    }
+    ['wetMonths','dryMonths'].forEach(k=>{
+      const v = options[k], ok = m => Number.isInteger(m) && m>=0 && m<=11;
+      if(Array.isArray(v) && v.every(ok)) return;
+      problems.push(chartError('OPTION_INVALID',`${k} must list month numbers 0–11 (0 = Jan); other entries are ignored`, false));
+      options[k] = Array.isArray(v) ? v.filter(ok) : [];
+    });
+  }
+
+  /* ---------- comparison ----------
+     data: [{ label, data }, …] — each data as for a single chart (inline, { source } or { station }).
+     Temperatures draw one line per location for the metric picked above the tabs (options.compareMetric,
+     default "high"); precipitation draws grouped bars. The location legend toggles each one; hovering a
+     month lists every location's value. A location whose data is unusable is left out with a warning. */
+  const COMPARE_COLORS = ['#214B6B','#C0562F','#3C8D5A','#8E5BA8','#C98A2B','#6B7280'];   // --pilgrim-compare-1…6
+  function checkLocations(list, problems, t){
+    const out = [];
+    list.forEach((loc,i)=>{
+      const label = String((loc && loc.label) || t('locationN', { n: i+1 }));
+      const own = [];
+      if(loc && loc.error) own.push(chartError(loc.error.code || 'SOURCE_FAILED', loc.error.message + '; left out of the comparison', false));
+      else {
+        try { out.push({ label, data: checkData(loc && loc.data && toImperial(loc.data), own) }); }
+        catch(err){ own.push(chartError(err.code, err.message + '; left out of the comparison', false)); }
+      }
+      own.forEach(p=>{ p.message = `${label}: ${p.message}`; problems.push(p); });
+    });
+    if(!out.length){
+      const failed = list.find(loc=>loc && loc.error);
+      throw failed ? failed.error : chartError('DATA_MISSING','a comparison needs at least one location with usable data: [{ label, data }, …]');
+    }
+    return out;
+  }
+
+  /* ---------- data sources ----------
+     JSON: { units?, highF|highC|high, meanF|meanC|mean, lowF|lowC|low, precipIn|precipMm|precip } (12 values each),
+           or an array of 12 row objects with the CSV columns below.
+     CSV:  a header row then one row per month, e.g. `Month,High (°C),Mean (°C),Low (°C),Precipitation (mm)` —
+           the export's own format. Columns are found by name (high/max/tmax, mean/avg/tavg, low/min/tmin,
+           precip/prcp/rain); units by header (°C, _c, mm, …) else the source's `units`, else °F/in. A Month
+           column (names or 1–12) orders the rows; `;` files with decimal commas work too.
+     Station index (JSON): { "<id>": { label?, source?, format?, units?, ...inline data } } or [{ id, ... }];
+           relative `source` URLs are resolved against the index. A missing mean is the average of high and low. */
+  const c2f = c => c*9/5+32, mm2in = mm => mm/25.4;
+  // First match wins, in this order, so "Rain days" isn't read as precipitation. Sunshine is "sunshine…" or a
+  // bare "sun" word ("Sun (h)", "sun_hours"), never "Sunrise"/"Sunset" times.
+  const COLUMNS = { high:/^(high|max|tmax|hi\b)/, mean:/^(mean|avg|average|tavg)/, low:/^(low|min|tmin|lo\b)/,
+    rainDays:/^(rain ?days|wet ?days|days of rain|precip(itation)? days)/, precip:/^(precip|prcp|rain|ppt)/,
+    sunshineHours:/^(sunshine|sun(?=[\s_(]|$))/ };
+  const sourceCache = new Map();   // url → Promise<text>; shared by every chart on the page
+
+  function fetchText(url){
+    if(!sourceCache.has(url)){
+      sourceCache.set(url, fetch(url).then(res=>{
+        if(!res.ok) throw chartError('SOURCE_FAILED', res.status===404 ? `Climate data not found: ${url} (HTTP 404)` : `Could not load ${url} (HTTP ${res.status})`);
+        return res.text();
+      }).catch(err=>{
+        sourceCache.delete(url);
+        throw err.code ? err : chartError('SOURCE_FAILED', `Could not load ${url} (network error)`);
+      }));
+    }
+    return sourceCache.get(url);
+  }
+
+  // Monthly arrays in any accepted units → { highF, meanF, lowF, precipIn }; unusable values are left for checkData
+  function toImperial(obj, units){
+    const metric = (obj.units || units)==='metric';
+    const conv = (arr, fn) => Array.isArray(arr) ? arr.map(v=> (v==null || v==='' || !isFinite(+v)) ? v : fn(+v)) : undefined;
+    const out = {};
+    ['high','mean','low'].forEach(k=>{
+      out[k+'F'] = obj[k+'F'] || conv(obj[k+'C'], c2f) || (metric ? conv(obj[k], c2f) : obj[k]);
+    });
+    out.precipIn = obj.precipIn || conv(obj.precipMm, mm2in) || (metric ? conv(obj.precip, mm2in) : obj.precip);
+    ['rainDays','sunshineHours','latitude'].forEach(k=>{ if(obj[k]!=null) out[k] = obj[k]; });
+    if(!out.meanF && Array.isArray(out.highF) && Array.isArray(out.lowF)){
+      out.meanF = out.highF.map((h,i)=> (isFinite(parseFloat(h)) && isFinite(parseFloat(out.lowF[i]))) ? (+h + +out.lowF[i])/2 : null);
+    }
+    Object.keys(out).forEach(k=>{ if(out[k]===undefined) delete out[k]; });
+    return out;
+  }
+
+  function parseCsv(text){
+    text = text.replace(/^\ufeff/,'');
+    const first = text.split(/\r?\n/,1)[0];
+    const delim = first.includes('\t') ? '\t' : (first.includes(';') && !first.includes(',') ? ';' : ',');
+    const rows = []; let row = [], cell = '', quoted = false;
+    for(let i=0;i<text.length;i++){
+      const ch = text[i];
+      if(quoted){ if(ch==='"'){ if(text[i+1]==='"'){ cell+='"'; i++; } else quoted=false; } else cell+=ch; }
+      else if(ch==='"') quoted = true;
+      else if(ch===delim){ row.push(cell); cell=''; }
+      else if(ch==='\n' || ch==='\r'){ if(ch==='\r' && text[i+1]==='\n') i++; row.push(cell); rows.push(row); row=[]; cell=''; }
+      else cell += ch;
+    }
+    if(cell || row.length){ row.push(cell); rows.push(row); }
+    // decimal commas only make sense in ;-separated files
+    return rows.filter(r=>r.some(c=>c.trim())).map(r=> delim===';' ? r.map(c=>c.replace(/^(\s*-?\d+),(\d+\s*)$/,'$1.$2')) : r);
+  }
+
+  function monthIndex(v){
+    const t = String(v).trim().toLowerCase();
+    if(/^\d{1,2}$/.test(t)) return +t>=1 && +t<=12 ? +t-1 : -1;
+    return months.findIndex(m=> t.startsWith(m.toLowerCase()));
+  }
+
+  // Header row + month rows → monthly °F/in arrays
+  function rowsToNormals(rows, units, what){
+    if(rows.length<2) throw chartError('SOURCE_PARSE', `${what} has no monthly rows`);
+    const head = rows[0].map(h=>String(h).trim().toLowerCase());
+    const col = {};
+    head.forEach((h,i)=>{ const k = Object.keys(COLUMNS).find(k=> col[k]==null && COLUMNS[k].test(h)); if(k) col[k]=i; });
+    if(col.high==null && col.low==null && col.precip==null){
+      throw chartError('SOURCE_PARSE', `${what} needs High, Low, Mean and Precipitation columns (found: ${rows[0].join(', ')})`);
+    }
+    const monthCol = head.findIndex(h=>/^(month|mon|mo)\b/.test(h));
+    let body = rows.slice(1);
+    if(monthCol>-1){
+      const byMonth = new Array(12).fill(null);
+      body.forEach(r=>{ const m = monthIndex(r[monthCol]); if(m>-1) byMonth[m] = r; });   // skips e.g. an "Annual" row
+      body = byMonth.map(r=> r || []);
+    }
+    const unitOf = (h, precip) => precip
+      ? (/\bmm\b|_mm\b/.test(h) ? 'metric' : (/\bin\b|_in\b|inch/.test(h) ? 'imperial' : units))
+      : (/°\s*c\b|\(c\)|_c\b|celsius/.test(h) ? 'metric' : (/°\s*f\b|\(f\)|_f\b|fahrenheit/.test(h) ? 'imperial' : units));
+    const out = {};
+    Object.keys(col).forEach(k=>{
+      const values = body.map(r=> r[col[k]]==null ? null : String(r[col[k]]).trim());
+      out[k] = k in EXTRA_SERIES ? values : toImperial({ [k]: values }, unitOf(head[col[k]], k==='precip'))[k==='precip' ? 'precipIn' : k+'F'];
+    });
+    return toImperial({ highF: out.high, meanF: out.mean, lowF: out.low, precipIn: out.precip, rainDays: out.rainDays, sunshineHours: out.sunshineHours });
+  }
+
+  function stationIndexUrl(data, options){
+    const url = data.index || options.stationIndex;
+    if(!url) throw chartError('DATA_MISSING', `station "${data.station}" needs a station index: pass options.stationIndex (or data.index)`);
+    return new URL(url, location.href).href;
+  }
+
+  // { source } / { station } → { data: monthly °F/in arrays, label } (label from the station index or the file)
+  async function loadClimate(data, options){
+    let spec = data, label = '';
+    if(data.station!=null){
+      const indexUrl = stationIndexUrl(data, options);
+      let index;
+      try { index = JSON.parse(await fetchText(indexUrl)); }
+      catch(err){ throw err.code ? err : chartError('SOURCE_PARSE', `Station index ${indexUrl} is not valid JSON`); }
+      const entry = Array.isArray(index) ? index.find(st=> String(st.id)===String(data.station)) : index[data.station];
+      if(!entry) throw chartError('STATION_NOT_FOUND', `Station "${data.station}" is not in the station index ${indexUrl}`);
+      label = entry.label || entry.name || '';
+      if(!entry.source) return { data: toImperial(entry, entry.units || data.units), label };
+      spec = { ...entry, source: new URL(entry.source, indexUrl).href, units: entry.units || data.units };
+    }
+    const text = await fetchText(spec.source);
+    const ext = (/\.(csv|json)(?:$|[?#])/i.exec(spec.source) || [])[1];
+    const format = String(spec.format || ext || (/^\s*[[{]/.test(text) ? 'json' : 'csv')).toLowerCase();
+    if(format==='csv') return { data: rowsToNormals(parseCsv(text), spec.units, 'CSV ' + spec.source), label };
+    let obj;
+    try { obj = JSON.parse(text); } catch(_){ throw chartError('SOURCE_PARSE', `${spec.source} is not valid JSON`); }
+    if(Array.isArray(obj)){
+      const keys = Object.keys(obj[0] || {});
+      return { data: rowsToNormals([keys].concat(obj.map(o=>keys.map(k=>o[k]))), obj.units || spec.units, 'JSON ' + spec.source), label };
+    }
+    return { data: toImperial(obj, spec.units), label: label || obj.label || obj.name || '' };
+  }
+
+  // Fatal problem: the card is replaced by the message
+  function showFailure(container, prefix, err){
+    container.innerHTML = '<div class="pilgrim-error" role="alert"></div>';
+    container.firstChild.textContent = prefix + err.message;
+  }
+
+  const needsLoading = data => !!data && (data.source || data.station!=null);
+
+  // One lifetime per container: rendering again (or destroy()) aborts the page listeners of the chart it replaces
+  const lifetimes = new WeakMap();   // container → AbortController
+  function claim(container){
+    if(lifetimes.has(container)) lifetimes.get(container).abort();
+    const life = new AbortController();
+    lifetimes.set(container, life);
+    return life;
+  }
+
+  // { source } / { station }: loading state in the card, then the chart
+  async function renderFrom(container, data, opts){
+    const o = opts || {}, t = translator(o.locale);
+    claim(container);
+    applyTheme(container, o.theme);
+    container.innerHTML = '<div class="pilgrim-card pilgrim-loading" role="status" aria-live="polite"><span class="pilgrim-spinner" aria-hidden="true"></span><span></span></div>';
+    container.querySelector('.pilgrim-loading span + span').textContent = Array.isArray(data)
+      ? t('loadingMany', { count: data.length })
+      : (o.locationLabel ? t('loadingFor', { place: o.locationLabel }) : t('loading'));
+    // comparison: a location that fails to load is left out (checkLocations reports it)
+    if(Array.isArray(data)){
+      const locations = await Promise.all(data.map(loc=> loc && !loc.error && needsLoading(loc.data)
+        ? loadClimate(loc.data, o).then(r=>({ ...loc, label: loc.label || r.label, data: r.data }), err=>({ ...loc, error: err }))
+        : loc));
+      return draw(container, locations, o);
+    }
+    let loaded;
+    try { loaded = await loadClimate(data, o); }
+    catch(err){
+      if(!err.code) Object.assign(err, { code:'SOURCE_FAILED', fatal:true });
+      showFailure(container, t('error.load'), err);
+      if(typeof o.onError!=='function') throw err;
+      o.onError(err);
+      return null;
+    }
+    return draw(container, loaded.data, (!o.locationLabel && loaded.label) ? { ...o, locationLabel: loaded.label } : o);
+  }
+
+  /* ---------- export helpers ---------- */
+  function slugify(s){ return String(s||'chart').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g,'').replace(/[^a-z0-9]+/g,'-').replace(/^-+|-+$/g,'') || 'chart'; }
+  function downloadBlob(blob, filename){
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = filename;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(()=>URL.revokeObjectURL(url), 1000);
+  }
+  function blobToDataUrl(blob){
+    return new Promise((resolve,reject)=>{ const fr=new FileReader(); fr.onload=()=>resolve(fr.result); fr.onerror=reject; fr.readAsDataURL(blob); });
+  }
+  async function fetchDataUrl(url){
+    try { const res = await fetch(url, { mode:'cors' }); return res.ok ? await blobToDataUrl(await res.blob()) : null; }
+    catch(_){ return null; }
+  }
+
+  // @font-face rules for the given families with the font files inlined as data: URLs, so exported
+  // SVG/PNG keep the brand fonts. Reads the page's stylesheets (fetching cross-origin ones, e.g. the
+  // Google Fonts @import); '' when nothing can be read. Only Latin subsets are kept to stay small.
+  const fontCss = new Map();   // family list → Promise<css>
+  function fontFaceCss(families){
+    const key = families.join(',');
+    if(!fontCss.has(key)) fontCss.set(key, collectFontFaces(families).catch(()=> ''));
+    return fontCss.get(key);
+  }
+  async function collectFontFaces(families){
+    const faces = [];   // { css, base }
+    const seen = new Set();
+    async function fromText(cssText, base){
+      (cssText.match(/@font-face\s*{[^}]*}/g) || []).forEach(css=>faces.push({ css, base }));
+      const imports = Array.from(cssText.matchAll(/@import\s+(?:url\()?\s*["']?([^"')\s;]+)/g)).map(m=>new URL(m[1], base).href);
+      for(const href of imports) await fromHref(href);
+    }
+    async function fromHref(href){
+      if(seen.has(href)) return;
+      seen.add(href);
+      try { const res = await fetch(href, { mode:'cors' }); if(res.ok) await fromText(await res.text(), href); } catch(_){}
+    }
+    async function fromSheet(sheet){
+      let rules = null;
+      try { rules = sheet.cssRules; } catch(_){}   // cross-origin sheets can't be read directly
+      if(!rules){ if(sheet.href) await fromHref(sheet.href); return; }
+      for(const rule of Array.from(rules)){
+        if(rule.type === CSSRule.IMPORT_RULE){ if(rule.styleSheet) await fromSheet(rule.styleSheet); else if(rule.href) await fromHref(new URL(rule.href, sheet.href || location.href).href); }
+        else if(rule.type === CSSRule.FONT_FACE_RULE) faces.push({ css: rule.cssText, base: sheet.href || location.href });
+      }
+    }
+    for(const sheet of Array.from(document.styleSheets)) await fromSheet(sheet);
+
+    const wanted = faces.filter(f=>{
+      const fam = (f.css.match(/font-family\s*:\s*["']?([^;"']+)/i) || [])[1];
+      const range = (f.css.match(/unicode-range\s*:\s*([^;}]+)/i) || [])[1];
+      return fam && families.includes(fam.trim()) && (!range || /U\+0000-00FF/i.test(range));
+    });
+    const out = [];
+    for(const f of wanted){
+      let css = f.css;
+      for(const m of Array.from(css.matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/g))){
+        if(m[1].startsWith('data:')) continue;
+        const data = await fetchDataUrl(new URL(m[1], f.base).href);
+        if(data) css = css.split(m[0]).join(`url("${data}")`);
+      }
+      out.push(css);
+    }
+    return out.join('\n');
+  }
+
+  /* ---------- permalink (one "key=a:b;c:d" entry per chart in the URL hash) ---------- */
+  function readHashState(key){
+    const entry = location.hash.slice(1).split('&').find(p=>p.startsWith(key+'='));
+    if(!entry) return null;
+    const state = {};
+    entry.slice(key.length+1).split(';').forEach(part=>{ const i=part.indexOf(':'); if(i>0) state[part.slice(0,i)] = decodeURIComponent(part.slice(i+1)); });
+    return state;
+  }
+  function writeHashState(key, state){
+    const value = Object.entries(state).filter(([,v])=>v!=null && v!=='').map(([k,v])=>k+':'+v).join(';');
+    const parts = location.hash.slice(1).split('&').filter(p=>p && !p.startsWith(key+'='));
+    if(value) parts.push(key+'='+value);
+    const hash = parts.length ? '#'+parts.join('&') : '';
+    if(hash !== location.hash) history.replaceState(history.state, '', hash || location.pathname + location.search);
+  }
+
+  /* ---------- themes ----------
+     options.theme sets the card's palette, fonts and logo treatment together: "light" (the stylesheet's tokens),
+     "dark", "auto" (dark while the device prefers a dark color scheme, and back when that changes) or a name given
+     to pilgrim.tempChart.registerTheme(name, { extends?, scheme?, colors?, fonts?, logo? }). colors maps token names
+     to values ({ "color-4": "#9CC3E4", surface: "#1B2127" } sets --pilgrim-color-4 and --pilgrim-surface), fonts is
+     { heading?, body? } (font-family stacks), logo { url?, opacity?, filter? }; extends names the theme it builds on
+     and scheme ("light"|"dark") is the CSS color-scheme for form controls. The tokens go on the container as inline
+     custom properties, plus a pilgrim-theme-<name> class. Registering a theme again, setTheme(name) on render()'s
+     result and a change of color scheme ("auto") redraw the charts on the page without rendering them again. Both return
+     their object for chaining; setTheme with a name that isn't registered throws. */
+  const THEMES = {
+    light: {},
+    dark: {
+      scheme: 'dark',
+      colors: {
+        'color-1':'#1B2127', 'color-2':'#CDBFB3', 'color-3':'#7FA7C7', 'color-4':'#9CC3E4', 'color-5':'#E6E8EA', 'color-sun':'#E0A54A',
+        'compare-1':'#9CC3E4', 'compare-2':'#E58A63', 'compare-3':'#6CC08A', 'compare-4':'#B98AD3', 'compare-5':'#E0A54A', 'compare-6':'#9CA3AF',
+        'neutral-900':'#E6E8EA', 'neutral-500':'#A3A9B0', 'neutral-300':'#3A424B',
+        'band-wet':'rgba(127,167,199,0.14)', 'band-dry':'rgba(156,195,228,0.07)',
+        'surface':'#1B2127', 'surface-2':'#252C34',
+        'warning-bg':'#3A2F12', 'warning-fg':'#FDE68A', 'error-bg':'#3B1D1D', 'error-fg':'#FECACA'
+      },
+      logo: { opacity:.7, filter:'brightness(0) invert(1)' }
+    }
+  };
+  const themedCharts = new Set();   // WeakRefs to the containers of charts rendered on the page
+  const themeHooks = new WeakMap(); // container → { theme(), restyle() }
+  const themeProps = new WeakMap(); // container → style properties its current theme set
+  let darkScheme = null;
+  function registerTheme(name, def){
+    if(!name || typeof name!=='string' || name==='auto' || !def || typeof def!=='object') throw new Error('pilgrim.tempChart.registerTheme: a theme needs a name (not "auto") and a definition object');
+    THEMES[name] = def;
+    restyleCharts(()=>true);   // any chart may use it, directly or through extends
+    return window.pilgrim.tempChart;
+  }
+  function restyleCharts(which){
+    themedCharts.forEach(ref=>{
+      const el = ref.deref(), chart = el && themeHooks.get(el);
+      if(!chart || !el.isConnected){ themedCharts.delete(ref); if(el) themeHooks.delete(el); }
+      else if(which(chart.theme())) chart.restyle();
+    });
+  }
+  // A container keeps one ref however often it is rendered into; the newest chart's hook replaces the last
+  function trackTheme(container, hook){
+    if(!themeHooks.has(container)) themedCharts.add(new WeakRef(container));
+    themeHooks.set(container, hook);
+  }
+  // The theme's inline style properties, its extends chain first; "auto" is light or dark by the color scheme
+  function themeTokens(name){
+    if(name==='auto'){
+      if(darkScheme===null){
+        darkScheme = typeof window.matchMedia==='function' ? window.matchMedia('(prefers-color-scheme: dark)') : false;   // no matchMedia: light
+        const changed = ()=> restyleCharts(n=> n==='auto');
+        if(darkScheme && darkScheme.addEventListener) darkScheme.addEventListener('change', changed); else if(darkScheme && darkScheme.addListener) darkScheme.addListener(changed);
+      }
+      name = darkScheme && darkScheme.matches ? 'dark' : 'light';
+    }
+    const chain = [];
+    for(let n=name; THEMES[n] && !chain.includes(THEMES[n]); n=THEMES[n].extends) chain.unshift(THEMES[n]);
+    const tokens = {};
+    chain.forEach(th=>{
+      const fonts = th.fonts || {}, logo = th.logo || {};
+      Object.entries(th.colors || {}).forEach(([k,v])=>{ tokens['--pilgrim-' + k.replace(/^--pilgrim-/,'')] = String(v); });
+      if(fonts.heading) tokens['--pilgrim-font-heading'] = fonts.heading;
+      if(fonts.body) tokens['--pilgrim-font-body'] = fonts.body;
+      if(logo.url) tokens['--pilgrim-logo-url'] = `url("${logo.url}")`;
+      if(logo.opacity!=null) tokens['--pilgrim-logo-opacity'] = String(logo.opacity);
+      if(logo.filter) tokens['--pilgrim-logo-filter'] = logo.filter;
+      if(th.scheme) tokens['color-scheme'] = th.scheme;
+    });
+    return { name: THEMES[name] ? name : 'light', tokens };
+  }
+  function applyTheme(container, name){
+    const { name: shown, tokens } = themeTokens(name || 'light');
+    (themeProps.get(container) || []).forEach(k=> container.style.removeProperty(k));
+    Object.entries(tokens).forEach(([k,v])=> container.style.setProperty(k, v));
+    themeProps.set(container, Object.keys(tokens));
+    Array.from(container.classList).forEach(c=>{ if(c.startsWith('pilgrim-theme-')) container.classList.remove(c); });
+    container.classList.add('pilgrim-theme-' + shown);
+  }
+
+  function dropTheme(container){
+    (themeProps.get(container) || []).forEach(k=> container.style.removeProperty(k));
+    themeProps.delete(container);
+    themeHooks.delete(container);
+    Array.from(container.classList).forEach(c=>{ if(c.startsWith('pilgrim-theme-')) container.classList.remove(c); });
+  }
+
+  /* ---------- panels ----------
+     Each tab of the card is a panel: { key, label, file?, caption?, legend?: [{label, color}], available?(data, options), draw(ctx) }.
+     label, caption and legend may be functions (t, options) => …, for words in the chart's language (see "localization").
+     draw(ctx) returns the finished <svg>; ctx has the chart's data (°F/in), options, units, months (in the chart's
+     language), layout, t(key, vars) and num(v, maxDigits = 0) for its words and numbers, plus helpers: svg() (with
+     season bands), axes(), lines(), bars(), groupedBars(), monthTips(), title(), tip(), noData(), logo(), color(), el.*. In a comparison (see "comparison" below) drawCompare(ctx) is used instead, with
+     ctx.locations ([{ label, data, color }], the ones toggled on) and ctx.metric ("high"|"mean"|"low"); panels without
+     it are left out. pilgrim.tempChart.registerPanel(def) adds (or replaces, by key) a panel for charts rendered
+     afterwards; options.panels picks and orders the keys. Built in: temps, precip, rain (data.rainDays),
+     daylight (data/options.latitude) and sun (data.sunshineHours); the last three only when their data is there. */
+  const PANELS = [];
+  function registerPanel(def){
+    if(!def || !def.key || typeof def.draw!=='function') throw new Error('pilgrim.tempChart.registerPanel: a panel needs a key and a draw(ctx) function');
+    const panel = { label:def.key, available:()=>true, ...def };
+    const i = PANELS.findIndex(p=>p.key===def.key);
+    if(i>-1) PANELS[i] = panel; else PANELS.push(panel);
+  }
+  function choosePanels(data, options, problems, locations){
+    let list = PANELS;
+    if(Array.isArray(options.panels)){
+      options.panels.filter(k=>!PANELS.some(p=>p.key===k)).forEach(k=> problems.push(chartError('OPTION_INVALID',`panels: there is no "${k}" panel`, false)));
+      list = options.panels.map(k=>PANELS.find(p=>p.key===k)).filter(Boolean);
+    }
+    list = list.filter(p=> locations
+      ? typeof p.drawCompare==='function' && locations.some(l=>p.available(l.data, options))
+      : p.available(data, options));
+    return list.length ? list : PANELS.slice(0,1);
+  }
+
+  const hasMonths = arr => Array.isArray(arr) && arr.some(v=>v!=null);
+  const latitudeOf = (data, options) => data.latitude!=null ? data.latitude : options.latitude;
+  const niceMax = (vals, step, min) => Math.ceil(Math.max(min, ...vals.filter(v=>v!=null)) * 1.15 / step) * step;
+
+  // Hours from sunrise to sunset on the 15th of each month (sun's centre 0.833° below the horizon)
+  const MID_MONTH_DAY = [15,46,74,105,135,166,196,227,258,288,319,349];
+  function daylightHours(lat){
+    const rad = Math.PI/180;
+    return MID_MONTH_DAY.map(doy=>{
+      const decl = Math.asin(Math.sin(-23.44*rad) * Math.cos(2*Math.PI/365*(doy+10)));
+      const cosH = (Math.sin(-0.833*rad) - Math.sin(lat*rad)*Math.sin(decl)) / (Math.cos(lat*rad)*Math.cos(decl));
+      return cosH<=-1 ? 24 : (cosH>=1 ? 0 : 2*Math.acos(cosH)/rad/15);
+    });
+  }
+  const hoursMinutes = t => h => { const min=Math.round(h*60); return t('hoursMinutes', { h: Math.floor(min/60), m: String(min%60).padStart(2,'0') }); };
+
+  // °F series in the chart's units, and an axis range on multiples of 5 that fits all of them
+  const tempsIn = (arr, units) => arr.map(f=> f==null ? null : +(units==='metric' ? f2c(f) : f).toFixed(1));
+  function tempRange(series){
+    const all = [].concat(...series).filter(v=>v!=null);
+    const minY = all.length ? Math.floor(Math.min(...all)/5)*5 : 0;
+    return { all, minY, maxY: Math.max(all.length ? Math.ceil(Math.max(...all)/5)*5 : 0, minY+5) };
+  }
+  const METRIC_NAMES = { high:'high', mean:'mean', low:'low' };   // metric → its message key
+
+  registerPanel({ key:'temps', label:t=>t('tab.temps'), file:'temperatures',
+    legend:t=>[{label:t('high'),color:'var(--pilgrim-color-4)'},{label:t('mean'),color:'var(--pilgrim-color-3)'},{label:t('low'),color:'var(--pilgrim-color-2)'}],
+    caption:seasonsCaption,
+    draw(ctx){
+      const unitLabel = ctx.units==='metric' ? '°C' : '°F';
+      const high = tempsIn(ctx.data.highF, ctx.units), mean = tempsIn(ctx.data.meanF, ctx.units), low = tempsIn(ctx.data.lowF, ctx.units);
+      const { all, minY, maxY } = tempRange([low, mean, high]);
+      const svgEl = ctx.svg();
+      const y = ctx.axes(svgEl, minY, maxY, unitLabel);
+      ctx.months.forEach((mo,i)=>{ if(high[i]==null && mean[i]==null && low[i]==null) ctx.noData(svgEl, i); });
+      ctx.lines(svgEl, [
+        {arr: high, color: ctx.color('--pilgrim-color-4'), label:ctx.t('high')},
+        {arr: mean, color: ctx.color('--pilgrim-color-3'), label:ctx.t('mean')},
+        {arr: low,  color: ctx.color('--pilgrim-color-2'), label:ctx.t('low')}
+      ], y, v=>`${ctx.num(v, 1)} ${unitLabel}`);
+      ctx.title(svgEl, ctx.t('title.temps', { unit: unitLabel }));
+      if(!all.length) ctx.noData(svgEl, -1, ctx.t('noTemps'));
+      ctx.logo(svgEl, { tempDecY: low[11]==null ? undefined : y(low[11]) });
+      return svgEl;
+    },
+    // one line per location for the selected metric
+    drawCompare(ctx){
+      const unitLabel = ctx.units==='metric' ? '°C' : '°F';
+      const series = ctx.locations.map(l=>({ arr: tempsIn(l.data[ctx.metric+'F'], ctx.units), color: l.color, label: l.label }));
+      const { all, minY, maxY } = tempRange(series.map(s=>s.arr));
+      const fmt = v=>`${ctx.num(v, 1)} ${unitLabel}`;
+      const svgEl = ctx.svg();
+      const y = ctx.axes(svgEl, minY, maxY, unitLabel);
+      ctx.months.forEach((mo,i)=>{ if(series.every(s=>s.arr[i]==null)) ctx.noData(svgEl, i); });
+      ctx.lines(svgEl, series, y, fmt);
+      ctx.monthTips(svgEl, i=> [`${ctx.months[i]} — ${ctx.t('tip.'+ctx.metric)}`].concat(series.map(s=>`${s.label}: ${s.arr[i]==null ? ctx.t('noData') : fmt(s.arr[i])}`)).join('\n'));
+      ctx.title(svgEl, ctx.t('title.'+ctx.metric, { unit: unitLabel }));
+      if(!all.length) ctx.noData(svgEl, -1, ctx.t('noTemps'));
+      const dec = series.map(s=>s.arr[11]).filter(v=>v!=null);
+      ctx.logo(svgEl, { tempDecY: dec.length ? y(Math.min(...dec)) : undefined });
+      return svgEl;
+    }
+  });
+
+  const precipIn = (arr, units) => arr.map(i=> i==null ? null : (units==='metric' ? Math.round(in2mm(i)) : i));
+  // all-dry (or all-missing) years still get a usable axis
+  const precipMax = (vals, units) => (Math.max(0, ...vals.filter(v=>v!=null)) || (units==='metric' ? 25 : 1)) * 1.15;
+  const precipAxis = ctx => v=> ctx.units==='metric' ? ctx.num(v, 0) : ctx.num(v, 1, 1);
+  const precipFmt = ctx => v=> `${ctx.units==='metric' ? ctx.num(v, 0) : ctx.num(v, 2, 2)} ${ctx.units==='metric' ? 'mm' : 'in'}`;
+
+  registerPanel({ key:'precip', label:t=>t('tab.precip'), file:'precipitation', caption:t=>t('caption.precip'),
+    draw(ctx){
+      const unitLabel = ctx.units==='metric' ? 'mm' : 'in';
+      const vals = precipIn(ctx.data.precipIn, ctx.units);
+      const svgEl = ctx.svg();
+      const y = ctx.axes(svgEl, 0, precipMax(vals, ctx.units), unitLabel, precipAxis(ctx));
+      const smart = ctx.bars(svgEl, vals, y, ctx.color('--pilgrim-color-4'), precipFmt(ctx));
+      ctx.title(svgEl, ctx.t('title.precip', { unit: unitLabel }));
+      ctx.logo(svgEl, smart);   // tall Nov/Dec bars move the logo to the top
+      return svgEl;
+    },
+    // side-by-side bars, one per location
+    drawCompare(ctx){
+      const unitLabel = ctx.units==='metric' ? 'mm' : 'in', fmt = precipFmt(ctx);
+      const series = ctx.locations.map(l=>({ arr: precipIn(l.data.precipIn, ctx.units), color: l.color, label: l.label }));
+      const svgEl = ctx.svg();
+      const y = ctx.axes(svgEl, 0, precipMax([].concat(...series.map(s=>s.arr)), ctx.units), unitLabel, precipAxis(ctx));
+      const smart = ctx.groupedBars(svgEl, series, y, fmt);
+      ctx.monthTips(svgEl, i=> [ctx.months[i]].concat(series.map(s=>`${s.label}: ${s.arr[i]==null ? ctx.t('noData') : fmt(s.arr[i])}`)).join('\n'));
+      ctx.title(svgEl, ctx.t('title.precip', { unit: unitLabel }));
+      ctx.logo(svgEl, smart);
+      return svgEl;
+    }
+  });
+
+  registerPanel({ key:'rain', label:t=>t('tab.rain'), file:'rain-days', caption:t=>t('caption.rain'),
+    available: data => hasMonths(data.rainDays),
+    draw(ctx){
+      const vals = ctx.data.rainDays;
+      const svgEl = ctx.svg();
+      const y = ctx.axes(svgEl, 0, niceMax(vals, 5, 5), ctx.t('days'), v=>ctx.num(v, 0));
+      const smart = ctx.bars(svgEl, vals, y, ctx.color('--pilgrim-color-3'), v=>ctx.t(v===1 ? 'rainDay' : 'rainDays', { n: ctx.num(v, 1) }));
+      ctx.title(svgEl, ctx.t('title.rain'));
+      ctx.logo(svgEl, smart);
+      return svgEl;
+    }
+  });
+
+  registerPanel({ key:'daylight', label:t=>t('tab.daylight'), caption:t=>t('caption.daylight'),
+    available: (data, options) => isFinite(latitudeOf(data, options)),
+    draw(ctx){
+      const hours = daylightHours(latitudeOf(ctx.data, ctx.options));
+      const min = Math.max(0, Math.floor(Math.min(...hours)) - 1), max = Math.min(24, Math.ceil(Math.max(...hours)) + 1);
+      const svgEl = ctx.svg();
+      const y = ctx.axes(svgEl, min, max, 'h', v=>ctx.num(v, 1));
+      ctx.lines(svgEl, [{arr: hours, color: ctx.color('--pilgrim-color-sun','#C98A2B'), label:ctx.t('tab.daylight')}], y, hoursMinutes(ctx.t));
+      ctx.title(svgEl, ctx.t('title.daylight'));
+      ctx.logo(svgEl, { tempDecY: y(hours[11]) });
+      return svgEl;
+    }
+  });
+
+  registerPanel({ key:'sun', label:t=>t('tab.sun'), file:'sunshine', caption:t=>t('caption.sun'),
+    available: data => hasMonths(data.sunshineHours),
+    draw(ctx){
+      const vals = ctx.data.sunshineHours;
+      const svgEl = ctx.svg();
+      const y = ctx.axes(svgEl, 0, niceMax(vals, 50, 50), 'h', v=>ctx.num(v, 0));
+      const smart = ctx.bars(svgEl, vals, y, ctx.color('--pilgrim-color-sun','#C98A2B'), v=>ctx.t('sunHours', { n: ctx.num(v, 0) }));
+      ctx.title(svgEl, ctx.t('title.sun'));
+      ctx.logo(svgEl, smart);
+      return svgEl;
+    }
+  });
+
   /* ---------- main render ---------- */
-  function render(container, data, opts){
-    if(!container) throw new Error("pilgrim.tempChart.render: container is required");
+  // Always a Promise, like PilgrimMapKit.create: errors without onError reject it
+  async function render(container, data, opts){
+    return draw(container, data, opts);
+  }
+  function draw(container, data, opts){
+    if(!container) throw chartError('NO_CONTAINER', "pilgrim.tempChart.render: container is required");
     container.setAttribute('data-pilgrim','chart'); // enforce scope
+    applyTheme(container, opts && opts.theme);
+    const compare = Array.isArray(data);
+    if(compare ? data.some(loc=>loc && !loc.error && needsLoading(loc.data)) : needsLoading(data)) return renderFrom(container, data, opts);
+    const onError = opts && typeof opts.onError==='function' ? opts.onError : null;
+    const t = translator(opts && opts.locale);
+    const problems = [];
+    let locations = null;
+    try {
+      if(compare){ locations = checkLocations(data, problems, t); data = locations[0].data; }
+      else data = checkData(data && toImperial(data), problems);
+    }
+    catch(err){
+      showFailure(container, t('error.chart'), err);
+      if(!onError) throw err;
+      onError(err);
+      return null;
+    }
 
-    // Defaults (deep-merge logo to avoid wiping nested size keys)
+    // Defaults (deep-merge logo to avoid wiping nested size keys); url and opacity come from the theme when not given
     const defaultLogo = {
-      url: getVarUrl(container, '--pilgrim-logo-url', 'https://aarondsmith.github.io/pilgrims-path-assets/logo.png'),
-      opacity: parseFloat(cssVar(container,'--pilgrim-logo-opacity')) || 0.5,
       size: { desktop:55, tablet:50, mobile:45 },
       smartPlacement: true,
       homeHref: "https://thepilgrimspath.net"
     };
     const base = {
-      locationLabel: "Location",
+      locationLabel: t('location'),
       unitsDefault: "imperial",
       wetMonths: [10,11,0,1,2], // Nov–Mar
       dryMonths: [5,6,7,8],     // Jun–Sep
       mobile: { perMonthPx: 116 }
     };
     const options = { ...base, ...(opts||{}) };
+    if(locations && !(opts && opts.locationLabel)) options.locationLabel = locations.map(l=>l.label).join(t('vs'));
+    checkOptions(options, problems);
+    const panelList = choosePanels(data, options, problems, locations);
+    const byKey = Object.fromEntries(panelList.map(p=>[p.key,p]));
+    const extraTabs = panelList.filter(p=>p.key!=='temps' && p.key!=='precip');
+    const word = v => typeof v==='function' ? v(t, options) : v;   // a panel's label / caption / legend
+    const labelOf = key => word(byKey[key].label);
+    const monthNames = t.months;
+    const hashKey = options.permalink ? String(options.permalink===true ? (container.id || 'climate') : options.permalink).replace(/[^\w-]/g,'') : '';
+    const linked = hashKey ? readHashState(hashKey) : null;
+    if(linked && (linked.u==='imperial' || linked.u==='metric')) options.unitsDefault = linked.u;
+    if(linked && METRIC_NAMES[linked.m]) options.compareMetric = linked.m;
     const userLogo = (opts && opts.logo) || {};
     options.logo = {
       ...defaultLogo,
@@ -84,50 +941,54 @@
     };
 
     // DOM skeleton
+    const life = claim(container), signal = life.signal;
     const id = uid();
     container.innerHTML = `
-      <div class="pilgrim-card" role="region" aria-label="${options.locationLabel} climate charts">
+      <div class="pilgrim-card${options.dataTable===true ? ' show-tables' : ''}" role="region">
         <div class="pilgrim-head">
-          <h2>${options.locationLabel} Climate</h2>
-          <div class="pilgrim-sub">Monthly low/mean/high temperatures and average precipitation. Long-term regional averages.</div>
+          <h2></h2>
+          <div class="pilgrim-sub">${locations ? t(locations.length===1 ? 'sub.compareOne' : 'sub.compare', { count: locations.length }) : t('sub.single')}${extraTabs.length ? t('sub.with', { list: extraTabs.map(p=> t.has('sub.'+p.key) ? t('sub.'+p.key) : word(p.label).toLocaleLowerCase(t.locale)).join(', ') }) : ''}${t('sub.end')}</div>
+          <div class="pilgrim-note" role="note" hidden></div>
         </div>
 
         <div class="pilgrim-controls">
-          <div class="pilgrim-unit" role="group" aria-label="Units">
+          <div class="pilgrim-unit" role="group" aria-label="${t('units')}">
             <label><input type="radio" name="units-${id}" value="imperial" ${options.unitsDefault==='imperial'?'checked':''}> °F / in</label>
             <label><input type="radio" name="units-${id}" value="metric"   ${options.unitsDefault==='metric'  ?'checked':''}> °C / mm</label>
-          </div>
+          </div>${locations && byKey.temps ? `
+          <div class="pilgrim-unit pilgrim-metric" role="group" aria-label="${t('metric')}">
+            ${Object.keys(METRIC_NAMES).map(k=>`<label><input type="radio" name="metric-${id}" value="${k}" ${options.compareMetric===k?'checked':''}> ${t(METRIC_NAMES[k])}</label>`).join('\n            ')}
+          </div>` : ''}
+          <button type="button" class="pilgrim-table-toggle" aria-pressed="${options.dataTable===true}">${t(options.dataTable===true ? 'table.hide' : 'table.show')}</button>
+          ${options.exportMenu === false ? '' : `
+          <details class="pilgrim-export">
+            <summary>${t('download')}</summary>
+            <div class="pilgrim-export-list">
+              <button type="button" data-export="svg">${t('export.svg')}</button>
+              <button type="button" data-export="png">${t('export.png')}</button>
+              <button type="button" data-export="csv">${t('export.csv')}</button>
+            </div>
+          </details>`}${locations ? `
+          <div class="pilgrim-locations" role="group" aria-label="${t('locations')}"></div>` : ''}
         </div>
 
-        <div class="pilgrim-tabs" role="tablist" aria-label="${options.locationLabel} climate tabs">
-          <button class="pilgrim-tab" role="tab" aria-selected="true"  aria-controls="panel-temps-${id}"  id="tab-temps-${id}">Temperatures</button>
-          <button class="pilgrim-tab" role="tab" aria-selected="false" aria-controls="panel-precip-${id}" id="tab-precip-${id}">Precipitation</button>
+        <div class="pilgrim-tabs" role="tablist">
+          ${panelList.map((p,i)=>`<button class="pilgrim-tab" role="tab" aria-selected="${i===0}" aria-controls="panel-${p.key}-${id}" id="tab-${p.key}-${id}" data-panel="${p.key}">${word(p.label)}</button>`).join('\n          ')}
         </div>
-
-        <div id="panel-temps-${id}" class="pilgrim-panel active" role="tabpanel" aria-labelledby="tab-temps-${id}">
+        ${panelList.map((p,i)=>{ const legend = word(p.legend), caption = word(p.caption); return `
+        <div id="panel-${p.key}-${id}" class="pilgrim-panel${i===0?' active':''}" role="tabpanel" aria-labelledby="tab-${p.key}-${id}">
           <figure class="pilgrim-chart-wrap">
-            <div class="pilgrim-chart-scroll" id="temps-scroll-${id}">
-              <div class="pilgrim-svg-wide" id="temps-wide-${id}"></div>
-              <div class="pilgrim-snap-track" id="temps-snap-${id}"></div>
+            <div class="pilgrim-chart-scroll" id="${p.key}-scroll-${id}">
+              <div class="pilgrim-svg-wide" id="${p.key}-wide-${id}"></div>
+              <div class="pilgrim-snap-track" id="${p.key}-snap-${id}"></div>
             </div>
+            <div class="pilgrim-table" id="${p.key}-table-${id}"></div>${legend && !locations ? `
             <div class="pilgrim-legend" aria-hidden="true">
-              <span><i class="sw" style="background:var(--pilgrim-color-4)"></i> High</span>
-              <span><i class="sw" style="background:var(--pilgrim-color-3)"></i> Mean</span>
-              <span><i class="sw" style="background:var(--pilgrim-color-2)"></i> Low</span>
-            </div>
-            <figcaption>Shaded bands show Wet (Nov–Mar) and Dry (Jun–Sep) seasons.</figcaption>
-          </figure>
-        </div>
-
-        <div id="panel-precip-${id}" class="pilgrim-panel" role="tabpanel" aria-labelledby="tab-precip-${id}">
-          <figure class="pilgrim-chart-wrap">
-            <div class="pilgrim-chart-scroll" id="precip-scroll-${id}">
-              <div class="pilgrim-svg-wide" id="precip-wide-${id}"></div>
-              <div class="pilgrim-snap-track" id="precip-snap-${id}"></div>
-            </div>
-            <figcaption>Average monthly precipitation.</figcaption>
+              ${legend.map(l=>`<span><i class="sw" style="background:${l.color}"></i> ${l.label}</span>`).join('\n              ')}
+            </div>` : ''}${caption ? `
+            <figcaption>${caption}</figcaption>` : ''}
           </figure>
-        </div>
+        </div>`; }).join('')}
       </div>
       <div class="pilgrim-tt" id="tt-${id}" role="tooltip" aria-hidden="true"></div>
     `;
@@ -136,24 +997,85 @@
     const q = sel => container.querySelector(sel);
     const tooltip = q('#tt-'+id);
 
+    // The place name can come from a fetched source or station index: set as text, never parsed as HTML
+    const place = { place: options.locationLabel };
+    q('.pilgrim-card').setAttribute('aria-label', t('card.region', place));
+    q('.pilgrim-head h2').textContent = t('card.title', place);
+    q('.pilgrim-tabs').setAttribute('aria-label', t('card.tabs', place));
+
+    // Warnings and failed downloads: listed under the title, and passed to onError (or the console)
+    const note = q('.pilgrim-note');
+    function notify(p, line=note.appendChild(document.createElement('div')), shown=p.message){
+      note.hidden = false;
+      line.textContent = shown;
+      if(onError){ try { onError(p); } catch(e){ console.error(e); } }
+      else if(p.fatal) console.error(p);
+      else console.warn('pilgrim.tempChart: ' + p.message);
+    }
+    problems.forEach(p=> notify(p));
+
     // State & media
     let units = options.unitsDefault;
+    let tempMetric = options.compareMetric;
+    const hiddenLocations = new Set();
     const mediaMobile = window.matchMedia("(max-width: 480px)");
     const mediaTablet = window.matchMedia("(max-width: 768px)");
     const isMobile = ()=> mediaMobile.matches;
     const isTablet = ()=> mediaTablet.matches && !isMobile();
+    const mediaStill  = window.matchMedia("(prefers-reduced-motion: reduce)");
+    const isStill  = ()=> mediaStill.matches;   // no line drawing, growing bars or swipe hint
+
+    // Data tables on screen or for screen readers only
+    const tableToggle = q('.pilgrim-table-toggle');
+    tableToggle.addEventListener('click', ()=>{
+      const show = tableToggle.getAttribute('aria-pressed')!=='true';
+      tableToggle.setAttribute('aria-pressed', String(show));
+      tableToggle.textContent = t(show ? 'table.hide' : 'table.show');
+      q('.pilgrim-card').classList.toggle('show-tables', show);
+      equalizeHeights();
+    });
 
     // Wire units
     container.querySelectorAll(`input[name="units-${id}"]`).forEach(r=>{
-      r.addEventListener('change', e=>{ units=e.target.value; drawActive(true); });
+      r.addEventListener('change', e=>{ units=e.target.value; drawActive(true); saveHash(); });
     });
 
+    // Comparison: metric picker and location toggles (the last location shown can't be switched off)
+    container.querySelectorAll(`input[name="metric-${id}"]`).forEach(r=>{
+      r.addEventListener('change', e=>{ tempMetric=e.target.value; if(byKey.temps) drawPanel('temps'); saveHash(); });
+    });
+    const locationButtons = locations ? locations.map((loc,i)=>{
+      const btn = q('.pilgrim-locations').appendChild(document.createElement('button'));
+      btn.type = 'button';
+      btn.className = 'pilgrim-location';
+      btn.setAttribute('aria-pressed','true');
+      btn.innerHTML = '<i class="sw" aria-hidden="true"></i> ';
+      btn.firstChild.style.background = locationColor(i);
+      btn.appendChild(document.createTextNode(loc.label));
+      btn.addEventListener('click', ()=>{ toggleLocation(i); saveHash(); });
+      return btn;
+    }) : [];
+    function locationColor(i){ return cssVar(container, `--pilgrim-compare-${i%COMPARE_COLORS.length+1}`) || COMPARE_COLORS[i%COMPARE_COLORS.length]; }
+    function toggleLocation(i, show=hiddenLocations.has(i)){
+      if(!show && hiddenLocations.size >= locations.length-1) return;
+      if(show) hiddenLocations.delete(i); else hiddenLocations.add(i);
+      locationButtons.forEach((b,j)=>{
+        b.setAttribute('aria-pressed', String(!hiddenLocations.has(j)));
+        b.disabled = !hiddenLocations.has(j) && hiddenLocations.size >= locations.length-1;
+      });
+      panelList.forEach(p=> drawPanel(p.key));
+    }
+    function shownLocations(){
+      return locations.map((l,i)=>({ label:l.label, data:l.data, color:locationColor(i) })).filter((l,i)=>!hiddenLocations.has(i));
+    }
+    if(locations && locations.length===1) locationButtons[0].disabled = true;
+
     // Tabs
-    const tabs = [ q('#tab-temps-'+id), q('#tab-precip-'+id) ];
-    const panels = { temps: q('#panel-temps-'+id), precip: q('#panel-precip-'+id) };
-    let active='temps';
+    const tabs = panelList.map(p=> q('#tab-'+p.key+'-'+id));
+    const panels = Object.fromEntries(panelList.map(p=>[p.key, q('#panel-'+p.key+'-'+id)]));
+    let active = panelList[0].key;
     tabs.forEach(btn=>{
-      btn.addEventListener('click', ()=>activate(btn.id.indexOf('temps')>-1?'temps':'precip'));
+      btn.addEventListener('click', ()=>activate(btn.dataset.panel));
       btn.addEventListener('keydown', (e)=>{
         const i = tabs.indexOf(document.activeElement);
         if(e.key==='ArrowRight'){ tabs[(i+1)%tabs.length].focus(); e.preventDefault(); }
@@ -162,19 +1084,74 @@
       });
     });
     function activate(which){
+      clearSelection();
       active=which;
-      tabs.forEach(b=>b.setAttribute('aria-selected', b.id.indexOf(which)>-1?'true':'false'));
+      tabs.forEach(b=>b.setAttribute('aria-selected', b.dataset.panel===which?'true':'false'));
       Object.values(panels).forEach(p=>p.classList.remove('active'));
       panels[which].classList.add('active');
       equalizeHeights();
       snapHint(which);
+      saveHash();
     }
 
-    // Tooltip
-    function showTip(txt, x, y){ tooltip.textContent = txt; tooltip.classList.add('show'); moveTip(x,y); }
-    function hideTip(){ tooltip.classList.remove('show'); }
+    // Permalink: tab + units (comparisons: + metric and hidden locations)
+    function saveHash(){
+      if(!hashKey) return;
+      writeHashState(hashKey, locations ? { t: active, u: units, m: tempMetric, x: [...hiddenLocations].sort((a,b)=>a-b).join(',') } : { t: active, u: units });
+    }
+    function applyHash(st){
+      if(!st) return;
+      if((st.u==='imperial' || st.u==='metric') && st.u!==units){
+        units = st.u;
+        container.querySelectorAll(`input[name="units-${id}"]`).forEach(r=>{ r.checked = r.value===units; });
+        drawActive(true);
+      }
+      if(locations && METRIC_NAMES[st.m] && st.m!==tempMetric){
+        tempMetric = st.m;
+        container.querySelectorAll(`input[name="metric-${id}"]`).forEach(r=>{ r.checked = r.value===tempMetric; });
+        if(byKey.temps) drawPanel('temps');
+      }
+      if(locations) applyHiddenLocations(st.x);
+      if(byKey[st.t] && st.t!==active) activate(st.t);
+    }
+    function applyHiddenLocations(list){
+      const want = new Set(String(list||'').split(',').filter(Boolean).map(Number));
+      locations.forEach((l,i)=>{ if(want.has(i) !== hiddenLocations.has(i)) toggleLocation(i, !want.has(i)); });
+    }
+
+    // Tooltip (while a month is selected, leaving a dot or bar brings its pinned tooltip back)
+    function showTip(txt, x, y){ tooltip.textContent = txt; tooltip.classList.add('show'); tooltip.classList.remove('pinned'); moveTip(x,y); }
+    function hideTip(){ if(selected) pinSelected(); else tooltip.classList.remove('show','pinned'); }
     function moveTip(x,y){ tooltip.style.left = (x+12)+'px'; tooltip.style.top = (y+14)+'px'; }
 
+    // Month selection (tap, drag, scroll-snap or keyboard): the column is highlighted and the month's
+    // combined tooltip is pinned over it, kept inside the card
+    let selected = null;   // { key, i }
+    const layers = {};     // panel key → { targets, tips, layout } of its current drawing
+    function selectMonth(key, i){
+      if(selected && layers[selected.key]) layers[selected.key].targets[selected.i].classList.remove('is-selected');
+      selected = { key, i };
+      layers[key].targets[i].classList.add('is-selected');
+      pinSelected();
+    }
+    function clearSelection(){
+      if(!selected) return;
+      if(layers[selected.key]) layers[selected.key].targets[selected.i].classList.remove('is-selected');
+      selected = null;
+      hideTip();
+    }
+    function pinSelected(){
+      const col = layers[selected.key].targets[selected.i].getBoundingClientRect();
+      const card = q('.pilgrim-card').getBoundingClientRect();
+      tooltip.textContent = layers[selected.key].tips[selected.i];
+      tooltip.classList.add('show','pinned');
+      const w = tooltip.offsetWidth, h = tooltip.offsetHeight;
+      tooltip.style.left = Math.max(card.left + 8, Math.min(col.left + col.width/2 - w/2, card.right - w - 8)) + 'px';
+      tooltip.style.top  = Math.max(card.top + 8, Math.min(col.top + 8, card.bottom - h - 8)) + 'px';
+    }
+    document.addEventListener('pointerdown', e=>{ if(!container.contains(e.target)) clearSelection(); }, { signal });
+    window.addEventListener('scroll', ()=>{ if(selected) pinSelected(); }, { passive:true, signal });
+
     // Layout
     function computeLayout(){
       const mobile = isMobile(), tablet = isTablet();
@@ -205,6 +1182,11 @@
         return segs;
       }
 
+    // "no data" marker for a missing month (or a whole empty chart)
+    function noData(cx, cy, label=t('noData'), size=11){
+      return text(cx, cy, label, {size, fill:cssVar(container,'--pilgrim-neutral-500'), family:BODY_FONT});
+    }
+
 function drawSeasonBands(svgEl, dx, m, innerH, xBand, arr, fill){
   monthSegments(arr).forEach(([start, len])=>{
     svgEl.appendChild(rect(xBand(start), m.t, dx * len, innerH, fill));
@@ -245,16 +1227,18 @@ function drawSeasonBands(svgEl, dx, m, innerH, xBand, arr, fill){
   a.setAttribute('href', options.logo.homeHref || 'https://thepilgrimspath.net');
   a.setAttribute('target','_blank');
   a.setAttribute('rel','noopener');
-  a.setAttribute('aria-label',"Go to The Pilgrim’s Path home");
+  a.setAttribute('aria-label',t('logo'));
 
   const img = document.createElementNS(NS,'image');
-  const url = options.logo.url || getVarUrl(container, '--pilgrim-logo-url');
+  const url = options.logo.url || getVarUrl(container, '--pilgrim-logo-url', 'https://aarondsmith.github.io/pilgrims-path-assets/logo.png');
+  const filter = cssVar(container, '--pilgrim-logo-filter');
   img.setAttributeNS(XLINK,'href', url);
   img.setAttribute('x', x);
   img.setAttribute('y', y);
   img.setAttribute('width', w);
   img.setAttribute('height', h);
-  img.setAttribute('opacity', String(options.logo.opacity!=null? options.logo.opacity : 0.5));
+  img.setAttribute('opacity', String(options.logo.opacity!=null? options.logo.opacity : (parseFloat(cssVar(container,'--pilgrim-logo-opacity')) || 0.5)));
+  if (filter && filter !== 'none') img.style.filter = filter;
   img.style.pointerEvents = 'auto';
 
   a.appendChild(img);
@@ -276,6 +1260,7 @@ function drawSeasonBands(svgEl, dx, m, innerH, xBand, arr, fill){
       for(let i=0;i<months.length;i++){
         const d = document.createElement('div');
         d.className = 'pilgrim-snap';
+        d.setAttribute('data-month', i);
         d.style.width = layout.dx + "px";
         snapT.appendChild(d);
       }
@@ -286,138 +1271,227 @@ function drawSeasonBands(svgEl, dx, m, innerH, xBand, arr, fill){
       });
     }
 
-    /* ---------- draw: Temps ---------- */
-    function drawTemps(){
+    /* ---------- panel drawing ---------- */
+    // What a panel's draw(ctx) works with: this chart's data, units and layout plus drawing helpers
+    // record: what the helpers drew ({ title, series, targets, tips }), for the data table and keyboard access
+    function panelContext(record){
       const layout = computeLayout();
       const { svgW, svgH, innerW, innerH, dx, m } = layout;
-      const unitLabel = units==='metric' ? '°C' : '°F';
-
-      const high = (units==='metric') ? data.highF.map(f=>+f2c(f).toFixed(1)) : data.highF;
-      const mean = (units==='metric') ? data.meanF.map(f=>+f2c(f).toFixed(1)) : data.meanF;
-      const low  = (units==='metric') ? data.lowF.map(f=>+f2c(f).toFixed(1))  : data.lowF;
-
-      const all = low.concat(mean, high);
-      const minY = Math.floor(Math.min(...all)/5)*5;
-      const maxY = Math.ceil(Math.max(...all)/5)*5;
-
       const xBand = i => m.l + i*dx;
-      const x     = i => xBand(i) + dx/2;   // <- keep this one (center of month)
-      const y     = v => m.t + innerH - ((v - minY)/(maxY - minY)) * innerH;
-
-      const svgEl = svg(svgW, svgH);
+      const x     = i => xBand(i) + dx/2;   // center of month
+      const muted = ()=> cssVar(container,'--pilgrim-neutral-500');
+      const tip = (node, label)=>{
+        node.style.cursor='crosshair';
+        node.addEventListener('mouseenter',e=>{ showTip(label, e.clientX, e.clientY); });
+        node.addEventListener('mouseleave',hideTip);
+        node.addEventListener('mousemove',e=>moveTip(e.clientX,e.clientY));
+      };
+      // bars side by side within each month, one per series; "no data" where every series is missing
+      function groupedBars(svgEl, series, y, fmt){
+        const gw = dx * .66, bw = gw / series.length;
+        monthNames.forEach((mo,i)=>{ if(series.every(s=>s.arr[i]==null)) svgEl.appendChild(noData(xBand(i)+dx/2, m.t+innerH-8)); });
+        series.forEach((s,j)=> s.arr.forEach((v,i)=>{
+          if(v==null) return;
+          const xx = xBand(i) + (dx-gw)/2 + j*bw;
+          const yy = y(v);
+          const bar = rect(xx,y(0),series.length>1 ? bw-1 : bw,0,s.color);
+          const grow = ()=>{ bar.setAttribute('y',yy); bar.setAttribute('height',(m.t+innerH-yy)); };
+          if(isStill()) grow();
+          else { requestAnimationFrame(grow); bar.style.transition='y .65s ease, height .65s ease'; }
+          tip(bar, `${monthNames[i]} — ${s.label ? s.label + ': ' : ''}${fmt(v)}`);
+          svgEl.appendChild(bar);
+        }));
+        series.forEach(s=> record.series.push({ label: s.label, arr: s.arr, fmt }));
+        const ratio = i => Math.max(0, ...series.map(s=> s.arr[i]==null ? 0 : (m.t+innerH-y(s.arr[i]))/innerH));
+        return { decRatio: ratio(11), novRatio: ratio(10) };
+      }
+      return {
+        data, options, units, months: monthNames, layout, xBand, x, tip, t, num: t.num,
+        locations: locations && shownLocations(), metric: tempMetric,
+        el: { path, line, rect, circle, text },
+        color: (name, fallback)=> cssVar(container,name) || fallback || '',
+        // a new chart <svg> with the wet/dry season bands
+        svg(){
+          const svgEl = svg(svgW, svgH);
+          drawSeasonBands(svgEl, dx, m, innerH, xBand, options.wetMonths, cssVar(container,'--pilgrim-band-wet'));
+          drawSeasonBands(svgEl, dx, m, innerH, xBand, options.dryMonths, cssVar(container,'--pilgrim-band-dry'));
+          return svgEl;
+        },
+        // grid, tick labels, month names and unit label for the range [min, max]; returns the value → y scale
+        axes(svgEl, min, max, unitLabel, fmt=v=>t.num(v, 1)){
+          const y = v => m.t + innerH - ((v - min)/(max - min)) * innerH;
+          const yTicks = 5;
+          for(let i=0;i<=yTicks;i++){
+            const val=min+i*(max-min)/yTicks, yy=y(val);
+            svgEl.appendChild(line(m.l,yy,m.l+innerW+m.r,yy,cssVar(container,'--pilgrim-neutral-300')));
+            svgEl.appendChild(text(m.l-12,yy+4,fmt(val),{anchor:'end',size:12,fill:muted(),family:BODY_FONT}));
+          }
+          monthNames.forEach((mo,i)=> svgEl.appendChild(text(xBand(i)+dx/2,svgH-18,mo,{size:12,fill:muted(),family:BODY_FONT})));
+          svgEl.appendChild(text(16,m.t+innerH/2,unitLabel,{anchor:'start',size:12,fill:muted(),family:BODY_FONT}));
+          return y;
+        },
+        // animated lines with a dot per month; a missing month (null) breaks the line
+        lines(svgEl, series, y, fmt){
+          series.forEach(s=>{
+            const pts = s.arr.map((v,i)=> v==null ? null : [x(i),y(v)]);
+            const d   = pts.map((p,i)=> p ? ((i && pts[i-1])?'L':'M')+p[0]+' '+p[1] : '').filter(Boolean).join(' ');
+            const p   = path(d,s.color,2);
+            if(!isStill()){
+              const len = 1 + pts.reduce((a,c,i,arr)=> (c && i && arr[i-1]) ? a + Math.hypot(c[0]-arr[i-1][0], c[1]-arr[i-1][1]) : a, 0);
+              p.style.strokeDasharray=len; p.style.strokeDashoffset=len; p.style.transition='stroke-dashoffset .8s ease';
+              requestAnimationFrame(()=>{ p.style.strokeDashoffset='0'; });
+            }
+            svgEl.appendChild(p);
+            record.series.push({ label: s.label, arr: s.arr, fmt });
+            pts.forEach((pt,i)=>{
+              if(!pt) return;
+              const dot = circle(pt[0],pt[1],3,s.color);
+              tip(dot, `${monthNames[i]} — ${s.label}: ${fmt(s.arr[i])}`);
+              svgEl.appendChild(dot);
+            });
+          });
+        },
+        // animated bars from y(0); "no data" for null months. Returns the Nov/Dec heights for logo placement.
+        bars(svgEl, vals, y, color, fmt){ return groupedBars(svgEl, [{arr: vals, color}], y, fmt); },
+        groupedBars,
+        // an invisible hover target over each month's column; label(i) is its tooltip (lines split on \n)
+        monthTips(svgEl, label){
+          record.tips = monthNames.map((mo,i)=> label(i));
+          record.targets = monthNames.map((mo,i)=>{
+            const hit = rect(xBand(i), m.t, dx, innerH, '#000');
+            hit.setAttribute('fill-opacity','0');
+            tip(hit, record.tips[i]);
+            return svgEl.appendChild(hit);
+          });
+        },
+        title(svgEl, title){ record.title = title; svgEl.appendChild(text(svgW/2,20,`${title} — ${options.locationLabel}`,{weight:700,family:HEADING_FONT})); },
+        // "no data" under month i, or across the whole chart for i < 0
+        noData(svgEl, i, label){
+          svgEl.appendChild(i<0 ? noData(m.l+innerW/2, m.t+innerH/2, label||t('noData'), 14) : noData(xBand(i)+dx/2, m.t+innerH-8, label));
+        },
+        logo(svgEl, smartInfo){ addLogo(svgEl, m, innerW, innerH, smartInfo); }
+      };
+    }
 
-      drawSeasonBands(svgEl, dx, m, innerH, xBand, options.wetMonths, cssVar(container,'--pilgrim-band-wet'));
-      drawSeasonBands(svgEl, dx, m, innerH, xBand, options.dryMonths, cssVar(container,'--pilgrim-band-dry'));
+    function drawPanel(key){
+      const record = { title:'', series:[], targets:null, tips:null };
+      const ctx = panelContext(record);
+      const svgEl = locations ? byKey[key].drawCompare(ctx) : byKey[key].draw(ctx);
+      const focused = q(`#${key}-wide-${id}`).contains(document.activeElement) && document.activeElement.getAttribute('data-month');
+      const refocus = focused ? +focused : -1;
+      monthLayer(svgEl, key, record, ctx.layout, refocus);
+      makeScrollShell({scroll:`${key}-scroll-${id}`, wide:`${key}-wide-${id}`, snap:`${key}-snap-${id}`}, svgEl, ctx.layout);
+      if(refocus>-1) svgEl.querySelector(`[data-month="${refocus}"]`).focus();
+      else if(selected && selected.key===key) selectMonth(key, selected.i);
+      dataTable(key, record);
+    }
 
-      // grid + labels
-      const yTicks = 5;
-      for(let i=0;i<=yTicks;i++){
-        const val=minY+i*(maxY-minY)/yTicks, yy=y(val);
-        svgEl.appendChild(line(m.l,yy,m.l+innerW+m.r,yy,cssVar(container,'--pilgrim-neutral-300')));
-        svgEl.appendChild(text(m.l-12,yy+4,String(val),{anchor:'end',size:12,fill:cssVar(container,'--pilgrim-neutral-500'),family:'Poppins'}));
-      }
-      months.forEach((mo,i)=> svgEl.appendChild(text(xBand(i)+dx/2,svgH-18,mo,{size:12,fill:cssVar(container,'--pilgrim-neutral-500'),family:'Poppins'})));
-      svgEl.appendChild(text(16,m.t+innerH/2,unitLabel,{anchor:'start',size:12,fill:cssVar(container,'--pilgrim-neutral-500'),family:'Poppins'}));
-
-      // series
-      const series = [
-        {arr: high, color: cssVar(container,'--pilgrim-color-4'), label:'High'},
-        {arr: mean, color: cssVar(container,'--pilgrim-color-3'), label:'Mean'},
-        {arr: low,  color: cssVar(container,'--pilgrim-color-2'), label:'Low'}
-      ];
-      series.forEach(s=>{
-        const pts = s.arr.map((v,i)=>[x(i),y(v)]);
-        const d   = pts.map((p,i)=>(i?'L':'M')+p[0]+' '+p[1]).join(' ');
-        const p   = path(d,s.color,2);
-        const len = 1 + pts.reduce((a,c,i,arr)=> i? a + Math.hypot(c[0]-arr[i-1][0], c[1]-arr[i-1][1]) : 0, 0);
-        p.style.strokeDasharray=len; p.style.strokeDashoffset=len; p.style.transition='stroke-dashoffset .8s ease';
-        requestAnimationFrame(()=>{ p.style.strokeDashoffset='0'; });
-        svgEl.appendChild(p);
-
-        pts.forEach((pt,i)=>{
-          const dot = circle(pt[0],pt[1],3,s.color);
-          dot.style.cursor='crosshair';
-          dot.addEventListener('mouseenter',e=>{ showTip(`${months[i]} — ${s.label}: ${s.arr[i]} ${unitLabel}`, e.clientX, e.clientY); });
-          dot.addEventListener('mouseleave',hideTip);
-          dot.addEventListener('mousemove',e=>moveTip(e.clientX,e.clientY));
-          svgEl.appendChild(dot);
+    /* ---------- month interaction & accessibility ---------- */
+    // One target per month column. Keyboard: a single focus stop per chart, arrows/Home/End move between
+    // months. Pointer: tapping or dragging anywhere in a column selects it, tapping it again lets go.
+    // The month's values are the target's accessible name and its (pinned) tooltip.
+    function monthLayer(svgEl, key, record, layout, current){
+      const { m, dx, innerH } = layout;
+      const label = s => s.label || labelOf(key);
+      const tips = record.tips || monthNames.map((mo,i)=> record.series.length===1
+        ? `${mo} — ${cellText(record.series[0], i)}`
+        : [mo].concat(record.series.map(s=>`${label(s)}: ${cellText(s, i)}`)).join('\n'));
+      const targets = record.targets || monthNames.map((mo,i)=>{
+        const hit = rect(m.l + i*dx, m.t, dx, innerH, '#000');
+        hit.setAttribute('fill-opacity','0');
+        hit.style.pointerEvents = 'none';   // the mouse keeps the dots' and bars' own tooltips
+        return svgEl.appendChild(hit);
+      });
+      layers[key] = { targets, tips, layout };
+      svgEl.setAttribute('role','group');
+      svgEl.setAttribute('aria-label', `${record.title || labelOf(key)} — ${options.locationLabel}. ${t('keysHint')}`);
+      targets.forEach((target,i)=>{
+        target.setAttribute('class','pilgrim-point');
+        target.setAttribute('data-month', i);
+        target.setAttribute('tabindex', i===Math.max(current,0) ? '0' : '-1');
+        target.setAttribute('role','img');
+        target.setAttribute('aria-label', tips[i].replace(/\n/g,', '));
+        target.addEventListener('focus', ()=> selectMonth(key, i));
+        target.addEventListener('blur', e=>{ if(!(e.relatedTarget && e.relatedTarget.getAttribute && e.relatedTarget.getAttribute('data-month'))) clearSelection(); });
+        target.addEventListener('keydown', e=>{
+          const to = { ArrowRight:i+1, ArrowLeft:i-1, Home:0, End:months.length-1 }[e.key];
+          if(e.key==='Escape'){ clearSelection(); return; }
+          if(to==null) return;
+          e.preventDefault();
+          const next = targets[Math.min(months.length-1, Math.max(0, to))];
+          targets.forEach(o=> o.setAttribute('tabindex', o===next ? '0' : '-1'));
+          next.focus();
         });
       });
 
-      svgEl.appendChild(text(svgW/2,20,`Monthly Temperatures (${unitLabel}) — ${options.locationLabel}`,{weight:700,family:'Manrope'}));
-
-      addLogo(svgEl, m, innerW, innerH, { tempDecY: y(low[11]) });
-
-      makeScrollShell({scroll:`temps-scroll-${id}`, wide:`temps-wide-${id}`, snap:`temps-snap-${id}`}, svgEl, layout);
-      return svgH;
+      const monthAt = e => {
+        const r = svgEl.getBoundingClientRect();
+        if(!r.width) return -1;
+        const i = Math.floor(((e.clientX - r.left) * layout.svgW / r.width - layout.m.l) / layout.dx);
+        return i>=0 && i<months.length ? i : -1;
+      };
+      let dragging = null;
+      svgEl.addEventListener('pointerdown', e=>{
+        const i = monthAt(e);
+        if(i<0 || (e.target.closest && e.target.closest('a'))) return;
+        dragging = e.pointerId;
+        try { svgEl.setPointerCapture(e.pointerId); } catch(_){}
+        if(selected && selected.key===key && selected.i===i) clearSelection(); else selectMonth(key, i);
+      });
+      svgEl.addEventListener('pointermove', e=>{
+        if(dragging!==e.pointerId) return;
+        const i = monthAt(e);
+        if(i>-1 && !(selected && selected.key===key && selected.i===i)) selectMonth(key, i);
+      });
+      ['pointerup','pointercancel'].forEach(type=> svgEl.addEventListener(type, ()=>{ dragging = null; }));
     }
 
-    /* ---------- draw: Precip ---------- */
-    function drawPrecip(){
-      const layout = computeLayout();
-      const { svgW, svgH, innerW, innerH, dx, m } = layout;
-
-      const vals = (units==='metric') ? data.precipIn.map(i=>Math.round(in2mm(i))) : data.precipIn;
-      const unitLabel = units==='metric' ? 'mm' : 'in';
-      const maxV = Math.max(...vals) * 1.15;
-
-      const xBand = i => m.l + i*dx;
-      const bw = dx * .66;
-      const y = v => m.t + innerH - (v/maxV)*innerH;
-
-      const svgEl = svg(svgW, svgH);
-
-      drawSeasonBands(svgEl, dx, m, innerH, xBand, options.wetMonths, cssVar(container,'--pilgrim-band-wet'));
-      drawSeasonBands(svgEl, dx, m, innerH, xBand, options.dryMonths, cssVar(container,'--pilgrim-band-dry'));
+    // Swiping a scrollable chart selects the month under the middle of the view once it snaps
+    let hintUntil = 0;   // the swipe hint's own scrolling selects nothing
+    function snapSelect(key){
+      const sc = q(`#${key}-scroll-${id}`);
+      if(key!==active || Date.now()<hintUntil || !sc.classList.contains('scrollable') || !layers[key]) return;
+      const mid = sc.scrollLeft + sc.clientWidth/2 - layers[key].layout.m.l;
+      const snap = Array.from(q(`#${key}-snap-${id}`).children).find(d=> mid >= d.offsetLeft && mid < d.offsetLeft + d.offsetWidth);
+      if(snap) selectMonth(key, +snap.getAttribute('data-month'));
+    }
+    panelList.forEach(p=>{
+      let settle = null;
+      q(`#${p.key}-scroll-${id}`).addEventListener('scroll', ()=>{ clearTimeout(settle); settle = setTimeout(()=>snapSelect(p.key), 150); }, { passive:true });
+    });
+    function cellText(s, i){ return s.arr[i]==null ? t('noData') : s.fmt(s.arr[i]); }
 
-      // grid + labels
-      const yTicks = 5;
-      for(let i=0;i<=yTicks;i++){
-        const val=(maxV/yTicks)*i, yy=y(val);
-        svgEl.appendChild(line(m.l,yy,m.l+innerW+m.r,yy,cssVar(container,'--pilgrim-neutral-300')));
-        svgEl.appendChild(text(m.l-12,yy+4,(units==='metric'?Math.round(val):val.toFixed(1)),{anchor:'end',size:12,fill:cssVar(container,'--pilgrim-neutral-500'),family:'Poppins'}));
-      }
-      months.forEach((mo,i)=> svgEl.appendChild(text(xBand(i)+dx/2,svgH-18,mo,{size:12,fill:cssVar(container,'--pilgrim-neutral-500'),family:'Poppins'})));
-      svgEl.appendChild(text(16,m.t+innerH/2,unitLabel,{anchor:'start',size:12,fill:cssVar(container,'--pilgrim-neutral-500'),family:'Poppins'}));
-
-      // bars
-      vals.forEach((v,i)=>{
-        const xx = xBand(i) + (dx-bw)/2;
-        const yy = y(v);
-        const bar = rect(xx,y(0),bw,0,cssVar(container,'--pilgrim-color-4'));
-        requestAnimationFrame(()=>{ bar.setAttribute('y',yy); bar.setAttribute('height',(m.t+innerH-yy)); });
-        bar.style.transition='y .65s ease, height .65s ease';
-        bar.style.cursor='crosshair';
-        bar.addEventListener('mouseenter',e=>{ showTip(`${months[i]} — ${units==='metric'?v.toFixed(0):v.toFixed(2)} ${unitLabel}`,e.clientX,e.clientY); });
-        bar.addEventListener('mouseleave',hideTip);
-        bar.addEventListener('mousemove',e=>moveTip(e.clientX,e.clientY));
-        svgEl.appendChild(bar);
+    // The panel's monthly values as a table (screen readers always; on screen with "Show data table")
+    function dataTable(key, record){
+      const holder = q(`#${key}-table-${id}`);
+      const table = document.createElement('table');
+      table.createCaption().textContent = `${record.title || labelOf(key)} — ${options.locationLabel}`;
+      const head = table.createTHead().insertRow();
+      [t('table.month')].concat(record.series.map(s=> s.label || labelOf(key))).forEach(h=>{
+        const th = document.createElement('th'); th.scope = 'col'; th.textContent = h; head.appendChild(th);
       });
-
-      svgEl.appendChild(text(svgW/2,20,`Average Monthly Precipitation (${unitLabel}) — ${options.locationLabel}`,{weight:700,family:'Manrope'}));
-
-      // smart placement: if Nov/Dec are very tall, move logo to top-right
-      const decRatio = vals[11] / (maxV||1);
-      const novRatio = vals[10] / (maxV||1);
-      addLogo(svgEl, m, innerW, innerH, { decRatio, novRatio });
-
-      makeScrollShell({scroll:`precip-scroll-${id}`, wide:`precip-wide-${id}`, snap:`precip-snap-${id}`}, svgEl, layout);
-      return svgH;
+      const body = table.createTBody();
+      monthNames.forEach((mo,i)=>{
+        const row = body.insertRow();
+        const th = document.createElement('th'); th.scope = 'row'; th.textContent = mo; row.appendChild(th);
+        record.series.forEach(s=>{ row.insertCell().textContent = cellText(s, i); });
+      });
+      holder.replaceChildren(table);
     }
 
     // equalize panel heights
     function equalizeHeights(){
-      const tempsPanel = panels.temps.querySelector('.pilgrim-chart-wrap');
-      const precipPanel= panels.precip.querySelector('.pilgrim-chart-wrap');
-      const base = tempsPanel.getBoundingClientRect().height;
-      precipPanel.style.minHeight = base + "px";
+      const [first, ...rest] = panelList.map(p=> panels[p.key].querySelector('.pilgrim-chart-wrap'));
+      const base = first.getBoundingClientRect().height;
+      rest.forEach(w=>{ w.style.minHeight = base + "px"; });
     }
 
     // swipe hint
     function snapHint(which){
-      const el = q('#'+(which==='temps' ? `temps-scroll-${id}` : `precip-scroll-${id}`));
-      if(!el) return;
+      const el = q(`#${which}-scroll-${id}`);
+      if(!el || isStill()) return;
       if(el.scrollWidth > el.clientWidth && el.scrollLeft === 0){
+        hintUntil = Date.now() + 1000;
         el.scrollBy({left: 40, behavior:'smooth'});
         setTimeout(()=> el.scrollBy({left: -40, behavior:'smooth'}), 350);
       }
@@ -425,9 +1499,10 @@ function drawSeasonBands(svgEl, dx, m, innerH, xBand, arr, fill){
 
     // draw orchestrator
     function drawActive(fromUnitsChange=false){
-      if(active==='temps'){ drawTemps(); } else { drawPrecip(); }
+      // new units redraw every tab, so hidden tabs and their data tables don't keep the old ones
+      if(fromUnitsChange) panelList.forEach(p=> drawPanel(p.key)); else drawPanel(active);
       equalizeHeights();
-      [q('#temps-scroll-'+id), q('#precip-scroll-'+id)].forEach(sc=>{
+      panelList.map(p=> q(`#${p.key}-scroll-${id}`)).forEach(sc=>{
         if(sc){
           if(sc.scrollWidth > sc.clientWidth) sc.classList.add('scrollable');
           else sc.classList.remove('scrollable');
@@ -436,15 +1511,196 @@ function drawSeasonBands(svgEl, dx, m, innerH, xBand, arr, fill){
       if(!fromUnitsChange) snapHint(active);
     }
 
+    /* ---------- export ---------- */
+    const tabName = which => (byKey[which] && byKey[which].file) || which;
+
+    // The drawn chart as a self-contained SVG string: animations finished, colors and fonts inlined
+    async function standaloneSvg(which){
+      const src = q('#'+which+'-wide-'+id+' svg');
+      if(!src) throw new Error("pilgrim.tempChart: nothing to export for tab " + which);
+      const out = src.cloneNode(true);
+      const [, , w, h] = out.getAttribute('viewBox').split(/\s+/).map(Number);
+      out.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink', XLINK);
+      out.setAttribute('width', w);
+      out.setAttribute('height', h);
+
+      out.querySelectorAll('[tabindex]').forEach(n=>{ ['tabindex','role','aria-label','data-month','class'].forEach(a=>n.removeAttribute(a)); });
+      out.querySelectorAll('[style]').forEach(n=>{
+        ['stroke-dasharray','stroke-dashoffset','transition','cursor','pointer-events'].forEach(k=>n.style.removeProperty(k));
+        if(!n.getAttribute('style')) n.removeAttribute('style');
+      });
+      const color = getComputedStyle(container).color || '#2E353C';
+      out.querySelectorAll('[fill="currentColor"]').forEach(n=>n.setAttribute('fill', color));
+      const stacks = { [BODY_FONT]: cssVar(container,'--pilgrim-font-body'), [HEADING_FONT]: cssVar(container,'--pilgrim-font-heading') };
+      out.querySelectorAll('text').forEach(t=>{
+        const fam = t.style.fontFamily || BODY_FONT;
+        t.style.fontFamily = stacks[fam] || fam;
+      });
+      out.insertBefore(rect(0,0,w,h,cssVar(container,'--pilgrim-surface') || '#fff'), out.firstChild);
+
+      // Logo and fonts as data: URLs (a PNG render can't load external files)
+      for(const img of Array.from(out.querySelectorAll('image'))){
+        const data = await fetchDataUrl(img.getAttributeNS(XLINK,'href'));
+        if(data) img.setAttributeNS(XLINK,'href', data);
+      }
+      const faces = await fontFaceCss(Object.values(stacks).map(s=> s.split(',')[0].replace(/["']/g,'').trim()).filter(Boolean));
+      if(faces){ const st=document.createElementNS(NS,'style'); st.textContent=faces; out.insertBefore(st, out.firstChild); }
+      return { markup: new XMLSerializer().serializeToString(out), w, h };
+    }
+
+    async function exportSvg(which=active){
+      const { markup } = await standaloneSvg(which);
+      return new Blob(['<?xml version="1.0" encoding="UTF-8"?>\n' + markup], { type:'image/svg+xml' });
+    }
+
+    async function exportPng(which=active, scale=2){
+      const { markup, w, h } = await standaloneSvg(which);
+      const url = URL.createObjectURL(new Blob([markup], { type:'image/svg+xml' }));
+      try {
+        const img = new Image();
+        await new Promise((resolve,reject)=>{ img.onload=resolve; img.onerror=()=>reject(new Error('pilgrim.tempChart: could not render the PNG')); img.src=url; });
+        const canvas = document.createElement('canvas');
+        canvas.width = w*scale; canvas.height = h*scale;
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        return await new Promise((resolve,reject)=> canvas.toBlob(b=> b ? resolve(b) : reject(new Error('pilgrim.tempChart: could not create the PNG')), 'image/png'));
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+
+    // Monthly values in the selected units (English headers and month names, so the file loads back as a source)
+    function exportCsv(){
+      const metric = units==='metric';
+      const t = f => f==null ? '' : (metric ? f2c(f).toFixed(1) : String(+f.toFixed(1)));
+      const p = i => i==null ? '' : (metric ? String(Math.round(in2mm(i))) : String(+i.toFixed(2)));
+      const tu = metric ? '°C' : '°F', pu = metric ? 'mm' : 'in';
+      const cell = v => /[",\r\n]/.test(v) ? '"' + v.replace(/"/g,'""') + '"' : v;
+      const csv = rows => new Blob(['\ufeff' + rows.map(r=>r.map(cell).join(',')).join('\r\n') + '\r\n'], { type:'text/csv;charset=utf-8' });
+      if(locations){
+        // every location, toggled on or not: High/Mean/Low/Precipitation columns per location
+        const rows = [['Month'].concat(...locations.map(l=>[`${l.label} high (${tu})`,`${l.label} mean (${tu})`,`${l.label} low (${tu})`,`${l.label} precipitation (${pu})`]))];
+        months.forEach((mo,i)=> rows.push([mo].concat(...locations.map(l=>[t(l.data.highF[i]), t(l.data.meanF[i]), t(l.data.lowF[i]), p(l.data.precipIn[i])]))));
+        return csv(rows);
+      }
+      const n = v => v==null ? '' : String(+v.toFixed(1));
+      const extra = [];
+      if(byKey.rain) extra.push(['Rain days', i=> n(data.rainDays[i])]);
+      if(byKey.daylight){ const hours = daylightHours(latitudeOf(data, options)); extra.push(['Daylight (h)', i=> n(hours[i])]); }
+      if(byKey.sun) extra.push(['Sunshine (h)', i=> n(data.sunshineHours[i])]);
+      const rows = [['Month',`High (${tu})`,`Mean (${tu})`,`Low (${tu})`,`Precipitation (${pu})`, ...extra.map(e=>e[0])]];
+      months.forEach((mo,i)=> rows.push([mo, t(data.highF[i]), t(data.meanF[i]), t(data.lowF[i]), p(data.precipIn[i]), ...extra.map(e=>e[1](i))]));
+      return csv(rows);
+    }
+
+    const exportMenu = q('.pilgrim-export');
+    let exportNote = null;   // one line for the latest failed download
+    if(exportMenu){
+      exportMenu.querySelectorAll('[data-export]').forEach(btn=>{
+        btn.addEventListener('click', async ()=>{
+          exportMenu.open = false;
+          const kind = btn.getAttribute('data-export');
+          const base = slugify(options.locationLabel) + '-' + (kind==='csv' ? 'climate' : tabName(active));
+          try {
+            const blob = kind==='csv' ? exportCsv() : (kind==='png' ? await exportPng() : await exportSvg());
+            downloadBlob(blob, base + '.' + kind);
+          } catch(err){
+            if(!err.code) Object.assign(err, { code:'EXPORT_FAILED', fatal:true });
+            exportNote = exportNote || note.appendChild(document.createElement('div'));
+            notify(err, exportNote, t('error.export') + err.message);
+          }
+        });
+      });
+    }
+
+    // Theme: registerTheme, setTheme and the color scheme ("auto") redraw every tab in place
+    let theme = options.theme || 'light';
+    function restyle(){
+      applyTheme(container, theme);
+      locationButtons.forEach((b,i)=>{ b.firstChild.style.background = locationColor(i); });
+      panelList.forEach(p=> drawPanel(p.key));
+    }
+    function setTheme(name){
+      if(name!=='auto' && !THEMES[name]) throw chartError('OPTION_INVALID', `pilgrim.tempChart: there is no "${name}" theme`);
+      theme = name;
+      restyle();
+      return handle;
+    }
+    trackTheme(container, { theme: ()=> theme, restyle });
+
     // initial render + resize
-    drawTemps();
-    drawPrecip();
+    panelList.forEach(p=> drawPanel(p.key));
     equalizeHeights();
-    snapHint('temps');
-    window.addEventListener('resize', ()=> drawActive() );
+    snapHint(active);
+    window.addEventListener('resize', ()=> drawActive(), { signal });
+    if(linked && locations && linked.x) applyHiddenLocations(linked.x);
+    if(linked && byKey[linked.t] && linked.t!==active) activate(linked.t);
+    if(hashKey) window.addEventListener('hashchange', ()=> applyHash(readHashState(hashKey)), { signal });
+
+    // Remove the chart: page listeners, theme tokens and the card (the container element stays)
+    function destroy(){
+      if(signal.aborted) return;
+      life.abort();
+      lifetimes.delete(container);
+      dropTheme(container);
+      container.innerHTML = '';
+    }
+
+    const handle = { exportSvg, exportPng, exportCsv, setTheme, destroy };
+    return handle;
+  }
+
+  /* ---------- declarative embedding ----------
+     <pilgrim-climate data-location-label="Burgos" data-high-f="38,42,…" data-precip-in="…"></pilgrim-climate>
+     or any element with data-pilgrim-climate. Monthly arrays (highF, meanF, lowF, precipIn) and options
+     come from an inline <script type="application/json"> ({ data?, ...options }, or flat) and data-*
+     attributes (attributes win); a `locations` array ([{ label, data }]) makes it a comparison. The scanner is
+     pilgrim-embed.js, shared with the map and loaded from next to this script unless the page has it already;
+     it renders when near the viewport and fires "pilgrim-climate:ready" (detail: the handle render() resolves to) or ":error".
+     pilgrim.tempChart.configure({ autoInit: false }) right after this script turns the page scan off. */
+  const DATA_KEYS = ['highF','meanF','lowF','precipIn','highC','meanC','lowC','precipMm','rainDays','sunshineHours','units','source','format','station','index'];
+  const LIST_KEYS = ['highF','meanF','lowF','precipIn','highC','meanC','lowC','precipMm','rainDays','sunshineHours','wetMonths','dryMonths','panels','locations'];
+  const SCRIPT_URL = (document.currentScript && document.currentScript.src) || '';
+  let autoInitEnabled = true;
+  function loadEmbed(){
+    const shared = window.pilgrim = window.pilgrim || {};
+    if(shared.embed) return Promise.resolve(shared.embed);
+    if(!SCRIPT_URL) return Promise.resolve(null);   // bundled without it: no declarative charts
+    const url = new URL('pilgrim-embed.js', SCRIPT_URL).href;
+    shared.embedLoading = shared.embedLoading || new Promise((resolve, reject)=>{
+      const s = document.createElement('script');
+      s.src = url; s.async = true;
+      s.onload = ()=> resolve(shared.embed);
+      s.onerror = ()=> reject(new Error(`Failed to load ${url}; <pilgrim-climate> elements will not render`));
+      document.head.appendChild(s);
+    });
+    return shared.embedLoading;
+  }
+  // { data?, ...options } → render(node, data | locations, options)
+  function renderDeclared(node, cfg){
+    const data = { ...(cfg.data||{}) }, opts = { ...cfg };
+    delete opts.data;
+    DATA_KEYS.forEach(k=>{ if(k in opts){ data[k] = opts[k]; delete opts[k]; } });
+    const locations = opts.locations;   // a comparison: [{ label, data }, …]
+    delete opts.locations;
+    return render(node, Array.isArray(locations) ? locations : data, opts);
+  }
+  const embedded = loadEmbed().then(embed=> embed && embed.define({
+    tag:'pilgrim-climate', lists:LIST_KEYS, skip:['pilgrim'], enabled:()=> autoInitEnabled, create:renderDeclared
+  }));
+  embedded.catch(err=> console.error(err));
+  // Render every declared chart in root (element or document) that isn't rendered yet
+  function autoInit(root=document){
+    embedded.then(widget=>{ if(widget) widget.autoInit(root); }, ()=>{});
+    return window.pilgrim.tempChart;
+  }
+  // autoInit: false stops the page scan; <pilgrim-climate> elements and autoInit(root) still work
+  function configure(cfg={}){
+    if(cfg.autoInit===false) autoInitEnabled = false;
+    return window.pilgrim.tempChart;
   }
 
   // expose
   window.pilgrim = window.pilgrim || {};
-  window.pilgrim.tempChart = window.pilgrim.tempChart || { render };
+  window.pilgrim.tempChart = window.pilgrim.tempChart || { render, autoInit, configure, registerPanel, registerTheme, messages: MESSAGES };
+  if (typeof module === 'object' && module.exports) module.exports = window.pilgrim.tempChart;
 })();